@@ -3,6 +3,9 @@ import Header from './components/layout/Header'
 import HomePage from './pages/HomePage'
 import DeckEditorPage from './pages/DeckEditorPage'
 import PracticePage from './pages/PracticePage'
+import QuizPage from './pages/QuizPage'
+import MatchPage from './pages/MatchPage'
+import ExamPage from './pages/ExamPage'
 import ConnectionStatus from './components/ConnectionStatus'
 
 export default function App() {
@@ -12,7 +15,12 @@ export default function App() {
       <Routes>
         <Route path="/" element={<HomePage />} />
         <Route path="/deck-editor" element={<DeckEditorPage />} />
+        <Route path="/deck-editor/:deckId" element={<DeckEditorPage />} />
         <Route path="/practice/:deckId" element={<PracticePage />} />
+        <Route path="/custom-study" element={<PracticePage />} />
+        <Route path="/quiz/:deckId" element={<QuizPage />} />
+        <Route path="/match/:deckId" element={<MatchPage />} />
+        <Route path="/exam/:deckId" element={<ExamPage />} />
       </Routes>
       <ConnectionStatus />
       <footer className="bg-gray-100 text-gray-500 text-center py-4 mt-8">
@@ -0,0 +1,277 @@
+import { useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
+import {
+    getDeckTree,
+    getSubtreeDeckIds,
+    getNoteTypesInDecks,
+    getMappingSources,
+    getDefaultFieldMapping
+} from '../utils/ankiImportOptions'
+import { previewImportedCards, buildImportedDeck } from '../utils/apkgImporter'
+
+const STEPS = [
+    { id: 'decks', title: 'Choose decks' },
+    { id: 'fields', title: 'Map fields' },
+    { id: 'review', title: 'Review' }
+]
+
+function DeckTreeItem({ node, selectedDeckIds, onToggle }) {
+    const deckIds = getSubtreeDeckIds(node)
+    const selectedCount = deckIds.filter(id => selectedDeckIds.includes(id)).length
+
+    return (
+        <li>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={selectedCount === deckIds.length}
+                    ref={(input) => {
+                        if (input) input.indeterminate = selectedCount > 0 && selectedCount < deckIds.length
+                    }}
+                    onChange={() => onToggle(deckIds, selectedCount < deckIds.length)}
+                />
+                <span className="flex-grow">{node.name}</span>
+                <span className="text-gray-500">
+                    {node.totalNoteCount} notes
+                </span>
+            </label>
+            {node.children.length > 0 && (
+                <ul className="ml-6 mt-1 space-y-1">
+                    {node.children.map(child => (
+                        <DeckTreeItem
+                            key={child.fullName}
+                            node={child}
+                            selectedDeckIds={selectedDeckIds}
+                            onToggle={onToggle}
+                        />
+                    ))}
+                </ul>
+            )}
+        </li>
+    )
+}
+
+const deckNodeShape = {
+    id: PropTypes.number,
+    name: PropTypes.string.isRequired,
+    fullName: PropTypes.string.isRequired,
+    totalNoteCount: PropTypes.number.isRequired
+}
+deckNodeShape.children = PropTypes.arrayOf(PropTypes.shape(deckNodeShape)).isRequired
+
+DeckTreeItem.propTypes = {
+    node: PropTypes.shape(deckNodeShape).isRequired,
+    selectedDeckIds: PropTypes.arrayOf(PropTypes.number).isRequired,
+    onToggle: PropTypes.func.isRequired
+}
+
+/**
+ * Walks through importing an Anki collection: choosing which (sub)decks to
+ * import, which fields or templates become the front and back of each note
+ * type, and a summary of the resulting deck.
+ */
+export default function AnkiImportWizard({ collection, onImport, onClose }) {
+    const deckTree = useMemo(() => getDeckTree(collection), [collection])
+    const [step, setStep] = useState(0)
+    const [selectedDeckIds, setSelectedDeckIds] = useState(() => deckTree.flatMap(getSubtreeDeckIds))
+    const [fieldMappings, setFieldMappings] = useState({})
+
+    const stepId = STEPS[step].id
+    const options = useMemo(
+        () => ({ deckIds: selectedDeckIds, fieldMappings }),
+        [selectedDeckIds, fieldMappings]
+    )
+    const noteTypes = useMemo(
+        () => getNoteTypesInDecks(collection, selectedDeckIds),
+        [collection, selectedDeckIds]
+    )
+    const previews = useMemo(() => {
+        if (stepId !== 'fields') return {}
+        return Object.fromEntries(noteTypes.map(({ noteType }) => [
+            noteType.id,
+            previewImportedCards(collection, options, noteType.id)
+        ]))
+    }, [collection, options, noteTypes, stepId])
+    const deckData = useMemo(
+        () => stepId === 'review' ? buildImportedDeck(collection, options) : null,
+        [collection, options, stepId]
+    )
+
+    const toggleDecks = (deckIds, selected) => {
+        setSelectedDeckIds(prev => selected
+            ? [...new Set([...prev, ...deckIds])]
+            : prev.filter(id => !deckIds.includes(id)))
+    }
+
+    const updateMapping = (modelId, side, source) => {
+        setFieldMappings(prev => ({
+            ...prev,
+            [modelId]: { ...(prev[modelId] || getDefaultFieldMapping()), [side]: source }
+        }))
+    }
+
+    const handleNext = () => {
+        if (stepId === 'decks' && selectedDeckIds.length === 0) {
+            alert('Please select at least one deck')
+            return
+        }
+        setStep(step + 1)
+    }
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+            <div
+                className="bg-white rounded-lg shadow-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto"
+                onClick={(e) => e.stopPropagation()}
+                role="dialog"
+                aria-labelledby="anki-import-title"
+            >
+                <h2 id="anki-import-title" className="text-xl font-semibold text-gray-900 mb-1">
+                    Import Anki Collection
+                </h2>
+                <p className="text-sm text-gray-500 mb-4">
+                    Step {step + 1} of {STEPS.length}: {STEPS[step].title}
+                </p>
+
+                {stepId === 'decks' && (
+                    <div className="mb-6">
+                        <p className="text-sm text-gray-600 mb-2">
+                            Choose the decks to import. Cards from every chosen deck go into one deck.
+                        </p>
+                        <ul className="max-h-80 overflow-y-auto border border-gray-200 rounded p-2 space-y-1">
+                            {deckTree.map(node => (
+                                <DeckTreeItem
+                                    key={node.fullName}
+                                    node={node}
+                                    selectedDeckIds={selectedDeckIds}
+                                    onToggle={toggleDecks}
+                                />
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {stepId === 'fields' && (
+                    <div className="mb-6 space-y-6">
+                        {noteTypes.map(({ noteType, noteCount }) => {
+                            const mapping = fieldMappings[noteType.id] || getDefaultFieldMapping()
+                            return (
+                                <section key={noteType.id} className="border border-gray-200 rounded p-3">
+                                    <h3 className="font-medium text-gray-900 mb-2">
+                                        {noteType.name}
+                                        <span className="ml-2 text-sm font-normal text-gray-500">{noteCount} notes</span>
+                                    </h3>
+                                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+                                        {['front', 'back'].map(side => (
+                                            <label key={side} className="block text-sm text-gray-700">
+                                                {side === 'front' ? 'Front' : 'Back'}
+                                                <select
+                                                    value={mapping[side]}
+                                                    onChange={(e) => updateMapping(noteType.id, side, e.target.value)}
+                                                    className="mt-1 block w-full border border-gray-300 rounded px-2 py-1"
+                                                >
+                                                    {getMappingSources(noteType, side).map(source => (
+                                                        <option key={source.value} value={source.value}>
+                                                            {source.label}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </label>
+                                        ))}
+                                    </div>
+                                    {previews[noteType.id]?.length > 0 ? (
+                                        <ul className="space-y-2">
+                                            {previews[noteType.id].map(preview => (
+                                                <li key={preview.cardId} className="grid grid-cols-2 gap-2 text-sm">
+                                                    <div className="bg-gray-50 rounded p-2 whitespace-pre-wrap break-words">{preview.front}</div>
+                                                    <div className="bg-gray-50 rounded p-2 whitespace-pre-wrap break-words">{preview.back}</div>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    ) : (
+                                        <p className="text-sm text-red-600">
+                                            No cards of this note type have content on both sides with this mapping.
+                                        </p>
+                                    )}
+                                </section>
+                            )
+                        })}
+                    </div>
+                )}
+
+                {stepId === 'review' && deckData && (
+                    <div className="mb-6 space-y-3 text-sm text-gray-700">
+                        <p>
+                            <span className="font-medium">&quot;{deckData.name}&quot;</span>: {deckData.cards.length} cards
+                            {Object.keys(deckData.media).length > 0 && `, ${Object.keys(deckData.media).length} media files`}
+                            {deckData.reviewLog.length > 0 && `, ${deckData.reviewLog.length} reviews`}
+                        </p>
+                        {deckData.cards.length === 0 && (
+                            <p className="text-red-600">
+                                None of the chosen cards have content on both sides. Go back and choose other decks or fields.
+                            </p>
+                        )}
+                        {/* Media the cards refer to that the package doesn't contain */}
+                        {deckData.missingMedia.length > 0 && (
+                            <div className="p-3 rounded-lg bg-yellow-50 text-yellow-800">
+                                <p className="font-medium">
+                                    {deckData.missingMedia.length} media file(s) missing from the package; those cards will show a placeholder:
+                                </p>
+                                <ul className="list-disc list-inside mt-1 max-h-32 overflow-y-auto">
+                                    {deckData.missingMedia.map(name => (
+                                        <li key={name} className="truncate">{name}</li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-3">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+                    >
+                        Cancel
+                    </button>
+                    {step > 0 && (
+                        <button
+                            onClick={() => setStep(step - 1)}
+                            className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-2 px-4 rounded-lg"
+                        >
+                            Back
+                        </button>
+                    )}
+                    {stepId === 'review' ? (
+                        <button
+                            onClick={() => onImport(deckData)}
+                            disabled={!deckData || deckData.cards.length === 0}
+                            className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Import
+                        </button>
+                    ) : (
+                        <button
+                            onClick={handleNext}
+                            className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg"
+                        >
+                            Next
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+AnkiImportWizard.propTypes = {
+    collection: PropTypes.shape({
+        fileName: PropTypes.string.isRequired,
+        deckInfo: PropTypes.object.isRequired,
+        noteTypes: PropTypes.object.isRequired,
+        notes: PropTypes.array.isRequired,
+        cards: PropTypes.array.isRequired
+    }).isRequired,
+    onImport: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired
+}
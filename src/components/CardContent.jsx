@@ -0,0 +1,52 @@
+import PropTypes from 'prop-types'
+import { parseCardContent } from '../utils/media'
+
+// Keeps clicks on the audio controls from flipping the card
+const stopPropagation = (event) => event.stopPropagation()
+
+/**
+ * Renders a card side, showing its images and sound players. Files the
+ * deck doesn't have are shown as a placeholder with their name.
+ */
+export default function CardContent({ text = '', mediaUrls = {} }) {
+    return (
+        <>
+            {parseCardContent(text).map((segment, index) => {
+                if (segment.type === 'text') {
+                    return <span key={index}>{segment.text}</span>
+                }
+
+                const url = mediaUrls[segment.name]
+                if (!url) {
+                    return (
+                        <span key={index} className="inline-block text-sm text-red-600 bg-red-50 rounded px-2 py-1">
+                            Missing {segment.type}: {segment.name}
+                        </span>
+                    )
+                }
+
+                return segment.type === 'image' ? (
+                    <img
+                        key={index}
+                        src={url}
+                        alt={segment.name}
+                        className="inline-block max-w-full max-h-64 mx-auto align-middle"
+                    />
+                ) : (
+                    <audio
+                        key={index}
+                        src={url}
+                        controls
+                        onClick={stopPropagation}
+                        className="inline-block align-middle my-2"
+                    />
+                )
+            })}
+        </>
+    )
+}
+
+CardContent.propTypes = {
+    text: PropTypes.string,
+    mediaUrls: PropTypes.object
+}
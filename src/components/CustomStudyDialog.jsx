@@ -0,0 +1,198 @@
+import { useState } from 'react'
+import PropTypes from 'prop-types'
+import { useNavigate } from 'react-router-dom'
+import { DEFAULT_CUSTOM_STUDY_FILTERS } from '../utils/customStudy'
+import { FLAGS } from '../utils/cardStatus'
+
+export default function CustomStudyDialog({ decks, onClose }) {
+    const navigate = useNavigate()
+    const [selectedDeckIds, setSelectedDeckIds] = useState(decks.map(deck => deck.id))
+    const [failedToday, setFailedToday] = useState(false)
+    const [search, setSearch] = useState('')
+    const [flag, setFlag] = useState(0)
+    const [tag, setTag] = useState('')
+    const [limitDue, setLimitDue] = useState(false)
+    const [dueWithinDays, setDueWithinDays] = useState('7')
+    const [limitRandom, setLimitRandom] = useState(false)
+    const [randomCount, setRandomCount] = useState('50')
+    const [cram, setCram] = useState(false)
+
+    const toggleDeck = (deckId) => {
+        setSelectedDeckIds(prev => prev.includes(deckId)
+            ? prev.filter(id => id !== deckId)
+            : [...prev, deckId])
+    }
+
+    const handleStart = () => {
+        if (selectedDeckIds.length === 0) {
+            alert('Please select at least one deck')
+            return
+        }
+
+        const days = Number(dueWithinDays)
+        const count = Number(randomCount)
+        if (limitDue && !(Number.isInteger(days) && days >= 0)) {
+            alert('Days must be a whole number of 0 or more')
+            return
+        }
+        if (limitRandom && !(Number.isInteger(count) && count > 0)) {
+            alert('Number of cards must be a whole number greater than 0')
+            return
+        }
+
+        const filters = {
+            ...DEFAULT_CUSTOM_STUDY_FILTERS,
+            failedToday,
+            search,
+            flag,
+            tag,
+            dueWithinDays: limitDue ? days : null,
+            randomCount: limitRandom ? count : null
+        }
+        navigate('/custom-study', {
+            state: { customStudy: { deckIds: selectedDeckIds, filters, cram } }
+        })
+    }
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-50" onClick={onClose}>
+            <div
+                className="bg-white rounded-lg shadow-lg p-6 w-full max-w-lg max-h-[90vh] overflow-y-auto"
+                onClick={(e) => e.stopPropagation()}
+                role="dialog"
+                aria-labelledby="custom-study-title"
+            >
+                <h2 id="custom-study-title" className="text-xl font-semibold text-gray-900 mb-4">
+                    Custom Study
+                </h2>
+
+                <fieldset className="mb-4">
+                    <legend className="block text-sm font-medium text-gray-700 mb-2">Decks</legend>
+                    <div className="max-h-32 overflow-y-auto border border-gray-200 rounded p-2 space-y-1">
+                        {decks.map(deck => (
+                            <label key={deck.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={selectedDeckIds.includes(deck.id)}
+                                    onChange={() => toggleDeck(deck.id)}
+                                />
+                                {deck.name}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+
+                <div className="space-y-3 mb-4 text-sm text-gray-700">
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={failedToday}
+                            onChange={(e) => setFailedToday(e.target.checked)}
+                        />
+                        Only cards failed today
+                    </label>
+                    <div>
+                        <label className="block font-medium mb-1">Cards containing</label>
+                        <input
+                            type="text"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            className="w-full border border-gray-300 rounded px-2 py-1"
+                            placeholder="Any text"
+                        />
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block font-medium mb-1">Flag</label>
+                            <select
+                                value={flag}
+                                onChange={(e) => setFlag(Number(e.target.value))}
+                                className="w-full border border-gray-300 rounded px-2 py-1"
+                            >
+                                <option value={0}>Any</option>
+                                {FLAGS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block font-medium mb-1">Tag</label>
+                            <input
+                                type="text"
+                                value={tag}
+                                onChange={(e) => setTag(e.target.value)}
+                                className="w-full border border-gray-300 rounded px-2 py-1"
+                                placeholder="Any tag"
+                            />
+                        </div>
+                    </div>
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={limitDue}
+                            onChange={(e) => setLimitDue(e.target.checked)}
+                        />
+                        Due in the next
+                        <input
+                            type="number"
+                            min="0"
+                            value={dueWithinDays}
+                            onChange={(e) => setDueWithinDays(e.target.value)}
+                            className="w-16 border border-gray-300 rounded px-2 py-1"
+                            disabled={!limitDue}
+                        />
+                        days
+                    </label>
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={limitRandom}
+                            onChange={(e) => setLimitRandom(e.target.checked)}
+                        />
+                        Pick
+                        <input
+                            type="number"
+                            min="1"
+                            value={randomCount}
+                            onChange={(e) => setRandomCount(e.target.value)}
+                            className="w-16 border border-gray-300 rounded px-2 py-1"
+                            disabled={!limitRandom}
+                        />
+                        random cards
+                    </label>
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            checked={cram}
+                            onChange={(e) => setCram(e.target.checked)}
+                        />
+                        Cram mode (answers don&apos;t change scheduling)
+                    </label>
+                </div>
+
+                <div className="flex justify-end gap-3">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleStart}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg"
+                    >
+                        Start Studying
+                    </button>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+CustomStudyDialog.propTypes = {
+    decks: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired
+    })).isRequired,
+    onClose: PropTypes.func.isRequired
+}
@@ -0,0 +1,317 @@
+import { useEffect, useState } from 'react'
+import PropTypes from 'prop-types'
+import { getDeckLibrary } from '../utils/deckLibrary'
+import {
+    DEFAULT_PRESET_ID,
+    NEW_CARD_ORDERS,
+    REVIEW_ORDERS,
+    LEECH_ACTIONS,
+    generatePresetId,
+    listPresets,
+    validatePreset,
+    savePreset,
+    removePreset
+} from '../utils/deckPresets'
+import { parseSteps, formatSteps } from '../utils/scheduler'
+
+// Form fields keep the text the user typed until the preset is saved
+const toForm = (preset) => ({
+    name: preset.name,
+    newCardsPerDay: String(preset.newCardsPerDay),
+    maxReviewsPerDay: String(preset.maxReviewsPerDay),
+    learningSteps: formatSteps(preset.learningSteps),
+    relearningSteps: formatSteps(preset.relearningSteps),
+    newCardOrder: preset.newCardOrder,
+    reviewOrder: preset.reviewOrder,
+    leechThreshold: String(preset.leechThreshold),
+    leechAction: preset.leechAction
+})
+
+export default function PresetEditor({ presetId, onPresetChange }) {
+    const [presets, setPresets] = useState([])
+    const [usage, setUsage] = useState({})
+    const [form, setForm] = useState(null)
+    const [isDirty, setIsDirty] = useState(false)
+
+    const selectedPreset = presets.find(preset => preset.id === presetId) || presets[0]
+
+    useEffect(() => {
+        refreshPresets()
+    }, [])
+
+    useEffect(() => {
+        if (selectedPreset) {
+            setForm(toForm(selectedPreset))
+            setIsDirty(false)
+        }
+    }, [selectedPreset])
+
+    const refreshPresets = async () => {
+        try {
+            const [storedPresets, decks] = await Promise.all([listPresets(), getDeckLibrary()])
+            const counts = {}
+            decks.forEach(deck => {
+                const id = storedPresets.some(preset => preset.id === deck.presetId)
+                    ? deck.presetId
+                    : DEFAULT_PRESET_ID
+                counts[id] = (counts[id] || 0) + 1
+            })
+            setPresets(storedPresets)
+            setUsage(counts)
+        } catch (error) {
+            console.error('Error loading presets:', error)
+        }
+    }
+
+    const handleFieldChange = (field, value) => {
+        setForm(prev => ({ ...prev, [field]: value }))
+        setIsDirty(true)
+    }
+
+    const handleSelectPreset = (id) => {
+        if (isDirty && !confirm('Discard unsaved changes to this preset?')) return
+        onPresetChange(id)
+    }
+
+    const handleSavePreset = async () => {
+        const preset = {
+            ...selectedPreset,
+            name: form.name,
+            newCardsPerDay: Number(form.newCardsPerDay),
+            maxReviewsPerDay: Number(form.maxReviewsPerDay),
+            learningSteps: parseSteps(form.learningSteps),
+            relearningSteps: parseSteps(form.relearningSteps),
+            newCardOrder: form.newCardOrder,
+            reviewOrder: form.reviewOrder,
+            leechThreshold: Number(form.leechThreshold),
+            leechAction: form.leechAction
+        }
+
+        const error = validatePreset(preset)
+        if (error) {
+            alert(error)
+            return
+        }
+
+        try {
+            await savePreset(preset)
+            await refreshPresets()
+        } catch (error) {
+            console.error('Error saving preset:', error)
+            alert('Error saving preset. Please try again.')
+        }
+    }
+
+    const handleAddPreset = async () => {
+        const name = prompt('Name of the new preset:', `${selectedPreset.name} (copy)`)
+        if (!name || !name.trim()) return
+
+        try {
+            const preset = { ...selectedPreset, id: generatePresetId(), name }
+            await savePreset(preset)
+            await refreshPresets()
+            onPresetChange(preset.id)
+        } catch (error) {
+            console.error('Error adding preset:', error)
+            alert('Error adding preset. Please try again.')
+        }
+    }
+
+    const handleDeletePreset = async () => {
+        const deckCount = usage[selectedPreset.id] || 0
+        const message = deckCount > 0
+            ? `Delete "${selectedPreset.name}"? ${deckCount} deck(s) will use the default preset instead.`
+            : `Delete "${selectedPreset.name}"?`
+        if (!confirm(message)) return
+
+        try {
+            await removePreset(selectedPreset.id)
+            await refreshPresets()
+            onPresetChange(DEFAULT_PRESET_ID)
+        } catch (error) {
+            console.error('Error deleting preset:', error)
+            alert('Error deleting preset. Please try again.')
+        }
+    }
+
+    if (!selectedPreset || !form) return null
+
+    const deckCount = usage[selectedPreset.id] || 0
+
+    return (
+        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h2 className="text-lg font-semibold text-gray-900">Options preset</h2>
+                <div className="flex flex-wrap items-center gap-2">
+                    <select
+                        value={selectedPreset.id}
+                        onChange={(e) => handleSelectPreset(e.target.value)}
+                        className="border border-gray-300 rounded px-2 py-1 text-sm"
+                    >
+                        {presets.map(preset => (
+                            <option key={preset.id} value={preset.id}>{preset.name}</option>
+                        ))}
+                    </select>
+                    <span className="text-sm text-gray-500">
+                        Used by {deckCount} {deckCount === 1 ? 'deck' : 'decks'}
+                    </span>
+                    <button
+                        onClick={handleAddPreset}
+                        className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50"
+                    >
+                        Add Preset
+                    </button>
+                    {selectedPreset.id !== DEFAULT_PRESET_ID && (
+                        <button
+                            onClick={handleDeletePreset}
+                            className="px-3 py-1 text-sm text-red-600 hover:text-red-700 border border-red-200 rounded-lg hover:bg-red-50"
+                        >
+                            Delete
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Preset name
+                    </label>
+                    <input
+                        type="text"
+                        value={form.name}
+                        onChange={(e) => handleFieldChange('name', e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        New cards per day
+                    </label>
+                    <input
+                        type="number"
+                        min="0"
+                        value={form.newCardsPerDay}
+                        onChange={(e) => handleFieldChange('newCardsPerDay', e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Maximum reviews per day
+                    </label>
+                    <input
+                        type="number"
+                        min="0"
+                        value={form.maxReviewsPerDay}
+                        onChange={(e) => handleFieldChange('maxReviewsPerDay', e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Learning steps
+                    </label>
+                    <input
+                        type="text"
+                        value={form.learningSteps}
+                        onChange={(e) => handleFieldChange('learningSteps', e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                        placeholder="1m 10m"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                        Delays before a new card graduates, e.g. 1m 10m.
+                    </p>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Relearning steps
+                    </label>
+                    <input
+                        type="text"
+                        value={form.relearningSteps}
+                        onChange={(e) => handleFieldChange('relearningSteps', e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                        placeholder="10m"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                        Delays before a forgotten card returns to review.
+                    </p>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        New card order
+                    </label>
+                    <select
+                        value={form.newCardOrder}
+                        onChange={(e) => handleFieldChange('newCardOrder', e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    >
+                        <option value={NEW_CARD_ORDERS.SEQUENTIAL}>Sequential (deck order)</option>
+                        <option value={NEW_CARD_ORDERS.RANDOM}>Random</option>
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Review order
+                    </label>
+                    <select
+                        value={form.reviewOrder}
+                        onChange={(e) => handleFieldChange('reviewOrder', e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    >
+                        <option value={REVIEW_ORDERS.DUE}>Due date</option>
+                        <option value={REVIEW_ORDERS.INTERVAL}>Shortest interval first</option>
+                        <option value={REVIEW_ORDERS.RANDOM}>Random</option>
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Leech threshold
+                    </label>
+                    <input
+                        type="number"
+                        min="1"
+                        value={form.leechThreshold}
+                        onChange={(e) => handleFieldChange('leechThreshold', e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                        Lapses before a card is marked as a leech.
+                    </p>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Leech action
+                    </label>
+                    <select
+                        value={form.leechAction}
+                        onChange={(e) => handleFieldChange('leechAction', e.target.value)}
+                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                    >
+                        <option value={LEECH_ACTIONS.TAG}>Tag only</option>
+                        <option value={LEECH_ACTIONS.SUSPEND}>Suspend card</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="flex items-center justify-between mt-4">
+                <p className="text-xs text-gray-500">
+                    Changes apply to every deck using this preset.
+                </p>
+                <button
+                    onClick={handleSavePreset}
+                    disabled={!isDirty}
+                    className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white text-sm font-semibold py-1 px-4 rounded-lg"
+                >
+                    Save Preset
+                </button>
+            </div>
+        </div>
+    )
+}
+
+PresetEditor.propTypes = {
+    presetId: PropTypes.string.isRequired,
+    onPresetChange: PropTypes.func.isRequired
+}
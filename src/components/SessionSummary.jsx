@@ -0,0 +1,146 @@
+import PropTypes from 'prop-types'
+
+/**
+ * Formats a duration like 3m 12s, or 4.2s when under a minute
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    if (ms < 60 * 1000) {
+        return `${(ms / 1000).toFixed(1)}s`
+    }
+    const totalSeconds = Math.round(ms / 1000)
+    const hours = Math.floor(totalSeconds / 3600)
+    const minutes = Math.floor(totalSeconds / 60) % 60
+    const seconds = totalSeconds % 60
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${seconds}s`
+}
+
+export default function SessionSummary({
+    deckName,
+    summary,
+    gradeStats,
+    missedCards,
+    nextQueueCount,
+    onRestudyMissed,
+    onStudyAgain,
+    onContinue,
+    onBackToLibrary
+}) {
+    return (
+        <div className="min-h-screen bg-gray-50">
+            <div className="container mx-auto px-4 py-6 max-w-2xl">
+                <div className="bg-white rounded-lg shadow-sm p-8">
+                    <div className="text-center mb-6">
+                        <h1 className="text-2xl font-bold text-gray-900 mb-1">Session complete!</h1>
+                        <p className="text-gray-600">{deckName}</p>
+                    </div>
+
+                    <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center mb-6">
+                        <div>
+                            <dt className="text-sm text-gray-500">Answers</dt>
+                            <dd className="text-2xl font-semibold text-gray-900">{summary.answered}</dd>
+                        </div>
+                        <div>
+                            <dt className="text-sm text-gray-500">Accuracy</dt>
+                            <dd className="text-2xl font-semibold text-gray-900">{summary.accuracy}%</dd>
+                        </div>
+                        <div>
+                            <dt className="text-sm text-gray-500">Time spent</dt>
+                            <dd className="text-2xl font-semibold text-gray-900">{formatDuration(summary.timeSpentMs)}</dd>
+                        </div>
+                        <div>
+                            <dt className="text-sm text-gray-500">Per card</dt>
+                            <dd className="text-2xl font-semibold text-gray-900">{formatDuration(summary.averageTimeMs)}</dd>
+                        </div>
+                    </dl>
+
+                    <div className="flex justify-center gap-6 text-sm text-gray-600 mb-6">
+                        {gradeStats.map(({ label, count }) => (
+                            <span key={label}>{label}: {count}</span>
+                        ))}
+                    </div>
+
+                    {missedCards.length > 0 && (
+                        <div className="mb-6">
+                            <h2 className="text-lg font-semibold text-gray-900 mb-2">
+                                Missed cards ({missedCards.length})
+                            </h2>
+                            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-64 overflow-y-auto">
+                                {missedCards.map(card => (
+                                    <li key={card.key} className="p-3 text-sm">
+                                        <p className="font-medium text-gray-900 whitespace-pre-wrap">{card.question}</p>
+                                        <p className="text-gray-600 whitespace-pre-wrap">{card.answer}</p>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    {nextQueueCount > 0 && (
+                        <p className="text-center text-gray-600 mb-4">
+                            {nextQueueCount} more {nextQueueCount === 1 ? 'card is' : 'cards are'} ready to study.
+                        </p>
+                    )}
+
+                    <div className="flex flex-wrap justify-center gap-3">
+                        {nextQueueCount > 0 && (
+                            <button
+                                onClick={onContinue}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg"
+                            >
+                                Keep Studying
+                            </button>
+                        )}
+                        {missedCards.length > 0 && (
+                            <button
+                                onClick={onRestudyMissed}
+                                className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-lg"
+                                title="Go over the missed cards again without changing when they are due"
+                            >
+                                Re-study Missed
+                            </button>
+                        )}
+                        <button
+                            onClick={onStudyAgain}
+                            className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-semibold py-2 px-4 rounded-lg"
+                            title="Go over this session's cards again without changing when they are due"
+                        >
+                            Study Again
+                        </button>
+                        <button
+                            onClick={onBackToLibrary}
+                            className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+                        >
+                            Back to Deck Library
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    )
+}
+
+SessionSummary.propTypes = {
+    deckName: PropTypes.string.isRequired,
+    summary: PropTypes.shape({
+        answered: PropTypes.number.isRequired,
+        accuracy: PropTypes.number.isRequired,
+        timeSpentMs: PropTypes.number.isRequired,
+        averageTimeMs: PropTypes.number.isRequired
+    }).isRequired,
+    gradeStats: PropTypes.arrayOf(PropTypes.shape({
+        label: PropTypes.string.isRequired,
+        count: PropTypes.number.isRequired
+    })).isRequired,
+    missedCards: PropTypes.arrayOf(PropTypes.shape({
+        key: PropTypes.string.isRequired,
+        question: PropTypes.string.isRequired,
+        answer: PropTypes.string.isRequired
+    })).isRequired,
+    nextQueueCount: PropTypes.number.isRequired,
+    onRestudyMissed: PropTypes.func.isRequired,
+    onStudyAgain: PropTypes.func.isRequired,
+    onContinue: PropTypes.func.isRequired,
+    onBackToLibrary: PropTypes.func.isRequired
+}
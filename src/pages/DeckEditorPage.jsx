@@ -1,16 +1,37 @@
-import { useLocation, useNavigate } from 'react-router-dom'
+import { useLocation, useNavigate, useParams } from 'react-router-dom'
 import { useEffect, useState } from 'react'
 import { DeckStats } from '../utils/DeckStats'
+import { generateDeckId, loadDeck, saveDeck, downloadDeckAsJson } from '../utils/deckLibrary'
+import { ALGORITHMS, getSchedulerOptions } from '../utils/scheduler'
+import { DEFAULT_WEIGHTS } from '../utils/fsrs'
+import { DEFAULT_PRESET_ID } from '../utils/deckPresets'
+import { FLAGS, getCardFlag, isCardBuried, setCardSuspended, unburyCard } from '../utils/cardStatus'
+import { isLeech, getCardLapses, resetLeech } from '../utils/leeches'
+import { importAnkiMedia } from '../utils/apkgImporter'
+import { importReviewHistory } from '../utils/reviewLog'
+import { getPendingImport, removePendingImport } from '../utils/pendingImport'
+import { downloadDeckAsApkg } from '../utils/apkgExporter'
+import PresetEditor from '../components/PresetEditor'
+import { DIRECTIONS } from '../utils/cardDirections'
 
 export default function DeckEditorPage() {
     const location = useLocation()
     const navigate = useNavigate()
+    const { deckId: editDeckId } = useParams()
     
     // Mode detection
-    const [mode, setMode] = useState('create') // 'create' or 'import'
+    const [mode, setMode] = useState('create') // 'create', 'import' or 'edit'
     const [deckData, setDeckData] = useState(null)
+    const [notFound, setNotFound] = useState(false)
     const [deckName, setDeckName] = useState('')
     const [deckDescription, setDeckDescription] = useState('')
+
+    // Scheduling options
+    const [algorithm, setAlgorithm] = useState(ALGORITHMS.SM2)
+    const [desiredRetention, setDesiredRetention] = useState(0.9)
+    const [fsrsWeights, setFsrsWeights] = useState('')
+    const [presetId, setPresetId] = useState(DEFAULT_PRESET_ID)
+    const [direction, setDirection] = useState(DIRECTIONS.FORWARD)
     
     // Pagination and editing states
     const [cardsPerPage, setCardsPerPage] = useState(10)
@@ -20,18 +41,54 @@ export default function DeckEditorPage() {
 
     useEffect(() => {
         initializePage()
-    }, [location.state, navigate])
+    }, [location.state, navigate, editDeckId])
 
-    const initializePage = () => {
-        // Check if we have import data from location state
-        const { deckData: importedDeck, deckInfo } = location.state || {}
+    const initializePage = async () => {
+        // Check if we have import data, kept in memory under the ID in location state
+        const importId = location.state?.importId
+        const { deckData: importedDeck, deckInfo } = getPendingImport(importId) || {}
+        const loadSchedulerOptions = (deck) => {
+            const options = getSchedulerOptions(deck)
+            setAlgorithm(options.algorithm)
+            setDesiredRetention(options.fsrsParams.desiredRetention)
+            setFsrsWeights(deck?.fsrsParams?.weights ? deck.fsrsParams.weights.join(', ') : '')
+            setPresetId(deck?.presetId || DEFAULT_PRESET_ID)
+            setDirection(deck?.direction || DIRECTIONS.FORWARD)
+        }
 
-        if (importedDeck && deckInfo) {
+        if (editDeckId) {
+            // Edit mode - load the saved deck so it can be overwritten in place
+            let storedDeck = null
+            try {
+                storedDeck = await loadDeck(editDeckId)
+            } catch (error) {
+                console.error('Error loading deck:', error)
+            }
+            if (!storedDeck) {
+                console.error('Deck not found in storage:', editDeckId)
+                setNotFound(true)
+                setDeckData(null)
+                return
+            }
+            setMode('edit')
+            setNotFound(false)
+            setDeckData(storedDeck)
+            setDeckName(storedDeck.name)
+            setDeckDescription(storedDeck.description || '')
+            loadSchedulerOptions(storedDeck)
+            setEditingCards({})
+            setModifiedCards({})
+        } else if (importId && !importedDeck) {
+            // Pending imports don't survive a reload; start the import again from home
+            console.warn('Import data is no longer available:', importId)
+            navigate('/', { replace: true })
+        } else if (importedDeck && deckInfo) {
             // Import mode - we have existing deck data
             setMode('import')
             setDeckData(importedDeck)
             setDeckName(importedDeck.name)
             setDeckDescription(importedDeck.description || '')
+            loadSchedulerOptions(importedDeck)
         } else {
             // Create mode - start with empty deck
             setMode('create')
@@ -43,6 +100,7 @@ export default function DeckEditorPage() {
             setDeckData(emptyDeck)
             setDeckName('New Deck')
             setDeckDescription('')
+            loadSchedulerOptions(null)
         }
     }
 
@@ -53,7 +111,7 @@ export default function DeckEditorPage() {
     const handleExportDeck = () => {
         try {
             // Prepare deck data for export
-            const exportData = {
+            downloadDeckAsJson({
                 name: deckName.trim(),
                 description: deckDescription.trim(),
                 cards: deckData.cards.map(card => {
@@ -69,24 +127,35 @@ export default function DeckEditorPage() {
                         back: card.back.trim()
                     }
                 }).filter(card => card.front && card.back) // Only include non-empty cards
-            }
-
-            // Create and download the JSON file
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' })
-            const url = URL.createObjectURL(blob)
-            const a = document.createElement('a')
-            a.href = url
-            a.download = `${deckName.trim().toLowerCase().replace(/\s+/g, '-')}-deck.json`
-            document.body.appendChild(a)
-            a.click()
-            document.body.removeChild(a)
-            URL.revokeObjectURL(url)
+            })
         } catch (error) {
             console.error('Error exporting deck:', error)
             alert('Error exporting deck. Please try again.')
         }
     }
 
+    const handleExportApkg = async () => {
+        try {
+            // Cards keep their scheduling state, which is carried over to Anki
+            await downloadDeckAsApkg({
+                id: mode === 'edit' ? deckData.id : null,
+                name: deckName.trim(),
+                description: deckDescription.trim(),
+                presetId,
+                direction,
+                cards: deckData.cards.map(card => {
+                    const modifiedCard = modifiedCards[card.id]
+                    return modifiedCard
+                        ? { ...card, front: modifiedCard.front, back: modifiedCard.back }
+                        : card
+                })
+            })
+        } catch (error) {
+            console.error('Error exporting Anki package:', error)
+            alert('Error exporting Anki package. Please try again.')
+        }
+    }
+
     // Card management functions
     const addNewCard = () => {
         const newCard = {
@@ -163,6 +232,26 @@ export default function DeckEditorPage() {
         }
     }
 
+    // Suspension, burying and flags are saved with the deck
+    const updateCardStatus = (cardId, update) => {
+        setDeckData(prev => ({
+            ...prev,
+            cards: prev.cards.map(c => c.id === cardId ? update(c) : c)
+        }))
+    }
+
+    // Opens a leech in the card list so it can be rewritten
+    const rewriteLeech = (cardId) => {
+        const index = deckData.cards.findIndex(c => c.id === cardId)
+        if (cardsPerPage !== 'all') {
+            setCurrentPage(Math.floor(index / Number(cardsPerPage)) + 1)
+        }
+        startEditing(cardId)
+        setTimeout(() => {
+            document.getElementById(`card-${cardId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+        }, 0)
+    }
+
     const deleteAllCards = () => {
         if (deckData.cards.length === 0) return
 
@@ -182,7 +271,7 @@ export default function DeckEditorPage() {
         setCurrentPage(1)
     }
 
-    const handleSaveDeck = () => {
+    const handleSaveDeck = async () => {
         try {
             // Validate deck before saving
             if (!deckName.trim()) {
@@ -195,6 +284,26 @@ export default function DeckEditorPage() {
                 return
             }
 
+            // Validate FSRS parameters; leaving the weights empty uses the defaults
+            const retention = Number(desiredRetention)
+            if (algorithm === ALGORITHMS.FSRS && !(retention >= 0.7 && retention <= 0.99)) {
+                alert('Desired retention must be between 0.70 and 0.99')
+                return
+            }
+            const weights = fsrsWeights.trim()
+                ? fsrsWeights.split(/[\s,]+/).filter(Boolean).map(Number)
+                : null
+            if (weights && (weights.length !== DEFAULT_WEIGHTS.length || weights.some(w => !Number.isFinite(w)))) {
+                alert(`FSRS weights must be ${DEFAULT_WEIGHTS.length} comma-separated numbers`)
+                return
+            }
+            const schedulingOptions = {
+                algorithm,
+                fsrsParams: { desiredRetention: retention, weights },
+                presetId,
+                direction
+            }
+
             // Check for empty cards
             const emptyCards = deckData.cards.filter(card => 
                 !card.front.trim() || !card.back.trim()
@@ -208,8 +317,8 @@ export default function DeckEditorPage() {
                 if (!proceed) return
             }
 
-            // Generate a unique deck ID
-            const deckId = `deck_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+            // Keep the ID when editing so the deck is overwritten in place
+            const deckId = mode === 'edit' ? deckData.id : generateDeckId()
             
             // Apply any modifications to the cards and filter out empty ones
             const finalCards = deckData.cards
@@ -228,35 +337,60 @@ export default function DeckEditorPage() {
                 .filter(card => card.front.trim() && card.back.trim()) // Remove empty cards
             
             // Prepare deck data for storage
-            const deckDataToStore = {
-                id: deckId,
-                name: deckName.trim(),
-                description: deckDescription.trim(),
-                cards: finalCards,
-                createdAt: new Date().toISOString(),
-                totalCards: finalCards.length,
-                modifiedCards: Object.keys(modifiedCards).length,
-                mode: mode // Track how this deck was created
-            }
-            
-            // Store deck data in localStorage
-            localStorage.setItem(`ankiweb_deck_${deckId}`, JSON.stringify(deckDataToStore))
+            const now = new Date().toISOString()
+            const deckDataToStore = mode === 'edit'
+                ? {
+                    ...deckData,
+                    name: deckName.trim(),
+                    description: deckDescription.trim(),
+                    cards: finalCards,
+                    ...schedulingOptions,
+                    updatedAt: now,
+                    totalCards: finalCards.length,
+                    modifiedCards: Object.keys(modifiedCards).length
+                }
+                : {
+                    id: deckId,
+                    name: deckName.trim(),
+                    description: deckDescription.trim(),
+                    cards: finalCards,
+                    ...schedulingOptions,
+                    createdAt: now,
+                    updatedAt: now,
+                    totalCards: finalCards.length,
+                    modifiedCards: Object.keys(modifiedCards).length,
+                    mode: mode // Track how this deck was created
+                }
             
-            // Also update the decks list
-            const existingDecks = JSON.parse(localStorage.getItem('ankiweb_decks') || '[]')
-            const deckSummary = {
-                id: deckId,
-                name: deckName.trim(),
-                cardCount: finalCards.length,
-                createdAt: deckDataToStore.createdAt
-            }
-            existingDecks.push(deckSummary)
-            localStorage.setItem('ankiweb_decks', JSON.stringify(existingDecks))
+            // Store deck data and add it to the deck library
+            await saveDeck(deckDataToStore)
             
             console.log('Deck saved successfully:', deckId)
+
+            // Images, sounds and review history of an imported Anki package are stored with the deck
+            if (mode === 'import' && deckData.media) {
+                try {
+                    await importAnkiMedia(deckId, getPendingImport(location.state.importId)?.file, deckData.media)
+                } catch (error) {
+                    console.error('Error importing media:', error)
+                    alert('The deck was saved, but its images and sounds could not be imported.')
+                }
+            }
+            if (mode === 'import' && deckData.reviewLog) {
+                try {
+                    await importReviewHistory(deckId, deckData.reviewLog)
+                } catch (error) {
+                    console.error('Error importing review history:', error)
+                    alert('The deck was saved, but its review history could not be imported.')
+                }
+            }
             
-            // Navigate to practice page
-            navigate(`/practice/${deckId}`)
+            if (mode === 'import') {
+                removePendingImport(location.state.importId)
+            }
+
+            // Edited decks return to the library, new decks go straight to practice
+            navigate(mode === 'edit' ? '/' : `/practice/${deckId}`)
             
         } catch (error) {
             console.error('Error saving deck:', error)
@@ -264,6 +398,22 @@ export default function DeckEditorPage() {
         }
     }
 
+    if (notFound) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="text-center">
+                    <p className="text-gray-600 mb-4">Deck not found</p>
+                    <button
+                        onClick={handleGoBack}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg"
+                    >
+                        Back to Home
+                    </button>
+                </div>
+            </div>
+        )
+    }
+
     // Early return if no deck data (shouldn't happen, but safety check)
     if (!deckData) {
         return (
@@ -287,6 +437,7 @@ export default function DeckEditorPage() {
     const startIndex = cardsPerPage === 'all' ? 0 : (currentPage - 1) * Number(cardsPerPage)
     const endIndex = cardsPerPage === 'all' ? totalCards : startIndex + Number(cardsPerPage)
     const displayedCards = deckData.cards.slice(startIndex, endIndex)
+    const leeches = deckData.cards.filter(isLeech)
 
     const handleCardsPerPageChange = (value) => {
         setCardsPerPage(value)
@@ -365,13 +516,16 @@ export default function DeckEditorPage() {
     }
 
     // Get deck stats using OOP class
-    const deckStats = new DeckStats(deckData)
+    const deckStats = new DeckStats({ ...deckData, direction })
+    const predictedRecall = deckStats.predictedRecall()
 
     // Get page title and action button text based on mode
-    const pageTitle = mode === 'import' ? 'Import Deck' : 'Create New Deck'
+    const pageTitle = mode === 'import' ? 'Import Deck' : mode === 'edit' ? 'Edit Deck' : 'Create New Deck'
     const actionButtonText = mode === 'import' 
         ? `Import All ${totalCards} Cards` 
-        : totalCards > 0 
+        : mode === 'edit'
+            ? 'Save Changes'
+            : totalCards > 0 
             ? `Save Deck (${totalCards} cards)` 
             : 'Save Deck'
 
@@ -393,9 +547,11 @@ export default function DeckEditorPage() {
                                 <span className={`text-sm px-3 py-1 rounded-full font-medium ${
                                     mode === 'import' 
                                         ? 'bg-blue-100 text-blue-700' 
-                                        : 'bg-green-100 text-green-700'
+                                        : mode === 'edit'
+                                            ? 'bg-yellow-100 text-yellow-700'
+                                            : 'bg-green-100 text-green-700'
                                 }`}>
-                                    {mode === 'import' ? '✓ JSON Import' : '✨ New Deck'}
+                                    {mode === 'import' ? '✓ Import' : mode === 'edit' ? '✎ Editing' : '✨ New Deck'}
                                 </span>
                             </div>
                             
@@ -416,6 +572,11 @@ export default function DeckEditorPage() {
                                     </span>
                                 )}
                                 <span className="ml-4">Avg. card length: {deckStats.averageCardLength()} chars</span>
+                                {predictedRecall !== null && (
+                                    <span className="ml-4" title="Average probability of recalling a studied card right now">
+                                        Predicted recall: {Math.round(predictedRecall * 100)}%
+                                    </span>
+                                )}
                             </p>
                         </div>
                         
@@ -433,6 +594,13 @@ export default function DeckEditorPage() {
                             >
                                 Export JSON
                             </button>
+                            <button
+                                onClick={handleExportApkg}
+                                className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium border border-gray-300 rounded-lg hover:bg-gray-50"
+                                title="Export deck as an Anki package for desktop Anki and AnkiDroid"
+                            >
+                                Export .apkg
+                            </button>
                             <button
                                 onClick={handleSaveDeck}
                                 className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg"
@@ -443,6 +611,125 @@ export default function DeckEditorPage() {
                     </div>
                 </div>
 
+                {/* Scheduling options */}
+                <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+                    <h2 className="text-lg font-semibold text-gray-900 mb-4">Scheduling</h2>
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                                Algorithm
+                            </label>
+                            <select
+                                value={algorithm}
+                                onChange={(e) => setAlgorithm(e.target.value)}
+                                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                            >
+                                <option value={ALGORITHMS.SM2}>SM-2 (classic Anki)</option>
+                                <option value={ALGORITHMS.FSRS}>FSRS</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                                Practice direction
+                            </label>
+                            <select
+                                value={direction}
+                                onChange={(e) => setDirection(e.target.value)}
+                                className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                            >
+                                <option value={DIRECTIONS.FORWARD}>Front → Back</option>
+                                <option value={DIRECTIONS.REVERSE}>Back → Front</option>
+                                <option value={DIRECTIONS.MIXED}>Both directions, mixed</option>
+                            </select>
+                            <p className="text-xs text-gray-500 mt-1">
+                                Each direction is scheduled separately.
+                            </p>
+                        </div>
+                        {algorithm === ALGORITHMS.FSRS && (
+                            <>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Desired retention
+                                    </label>
+                                    <input
+                                        type="number"
+                                        min="0.7"
+                                        max="0.99"
+                                        step="0.01"
+                                        value={desiredRetention}
+                                        onChange={(e) => setDesiredRetention(e.target.value)}
+                                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+                                    />
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Higher values mean more reviews and better recall.
+                                    </p>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Weights (optional)
+                                    </label>
+                                    <textarea
+                                        value={fsrsWeights}
+                                        onChange={(e) => setFsrsWeights(e.target.value)}
+                                        className="w-full border border-gray-300 rounded px-2 py-1 text-sm resize-y"
+                                        placeholder={DEFAULT_WEIGHTS.join(', ')}
+                                        rows="2"
+                                    />
+                                </div>
+                            </>
+                        )}
+                    </div>
+                </div>
+
+                <PresetEditor presetId={presetId} onPresetChange={setPresetId} />
+
+                {/* Cards that keep being forgotten */}
+                {leeches.length > 0 && (
+                    <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+                        <h2 className="text-lg font-semibold text-gray-900 mb-1">Leeches ({leeches.length})</h2>
+                        <p className="text-sm text-gray-600 mb-4">
+                            These cards keep being forgotten. Rewriting them often helps; resetting makes them new cards again.
+                        </p>
+                        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                            {leeches.map(card => {
+                                const finalCard = getFinalCard(card)
+                                return (
+                                    <li key={card.id} className="flex items-center justify-between gap-4 p-3 text-sm">
+                                        <div className="min-w-0">
+                                            <p className="font-medium text-gray-900 truncate">{finalCard.front}</p>
+                                            <p className="text-gray-600 truncate">{finalCard.back}</p>
+                                        </div>
+                                        <div className="flex items-center gap-2 shrink-0">
+                                            <span className="text-xs text-gray-500">{getCardLapses(card)} lapses</span>
+                                            {card.suspended && (
+                                                <span className="text-xs bg-yellow-200 text-yellow-800 px-2 py-1 rounded-full">
+                                                    Suspended
+                                                </span>
+                                            )}
+                                            <button
+                                                onClick={() => rewriteLeech(card.id)}
+                                                className="text-xs bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700"
+                                            >
+                                                Rewrite
+                                            </button>
+                                            <button
+                                                onClick={() => {
+                                                    if (confirm('Reset this card? Its review progress will be lost.')) {
+                                                        updateCardStatus(card.id, resetLeech)
+                                                    }
+                                                }}
+                                                className="text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded hover:bg-gray-300"
+                                            >
+                                                Reset
+                                            </button>
+                                        </div>
+                                    </li>
+                                )
+                            })}
+                        </ul>
+                    </div>
+                )}
+
                 {/* Empty state for create mode or when all cards deleted */}
                 {totalCards === 0 && (
                     <div className="bg-white rounded-lg shadow-sm p-12 text-center mb-6">
@@ -532,9 +819,11 @@ export default function DeckEditorPage() {
                                 const isModified = !!modifiedCards[card.id]
                                 const finalCard = getFinalCard(card)
                                 const isEmpty = !finalCard.front.trim() && !finalCard.back.trim()
+                                const isBuried = isCardBuried(card)
+                                const flag = getCardFlag(card)
 
                                 return (
-                                    <div key={card.id} className={`p-6 ${isModified ? 'bg-green-50' : isEmpty ? 'bg-yellow-50' : ''}`}>
+                                    <div key={card.id} id={`card-${card.id}`} className={`p-6 ${isModified ? 'bg-green-50' : isEmpty ? 'bg-yellow-50' : ''}`}>
                                         <div className="flex items-start justify-between mb-3">
                                             <div className="flex items-center gap-2">
                                                 <span className="text-sm text-gray-500">
@@ -550,6 +839,27 @@ export default function DeckEditorPage() {
                                                         Empty - needs content
                                                     </span>
                                                 )}
+                                                {card.suspended && (
+                                                    <span className="text-xs bg-yellow-200 text-yellow-800 px-2 py-1 rounded-full">
+                                                        Suspended
+                                                    </span>
+                                                )}
+                                                {isLeech(card) && (
+                                                    <span className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full">
+                                                        Leech
+                                                    </span>
+                                                )}
+                                                {isBuried && (
+                                                    <span className="text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded-full">
+                                                        Buried until {new Date(card.buriedUntil).toLocaleDateString()}
+                                                    </span>
+                                                )}
+                                                {flag && (
+                                                    <span className="inline-flex items-center gap-1 text-xs text-gray-600">
+                                                        <span className={`inline-block w-3 h-3 rounded-full ${flag.className}`}></span>
+                                                        {flag.name}
+                                                    </span>
+                                                )}
                                             </div>
                                             <div className="flex items-center gap-2">
                                                 {isEditing ? (
@@ -569,6 +879,31 @@ export default function DeckEditorPage() {
                                                     </div>
                                                 ) : (
                                                     <div className="flex gap-1">
+                                                        <select
+                                                            value={card.flag || 0}
+                                                            onChange={(e) => updateCardStatus(card.id, c => ({ ...c, flag: Number(e.target.value) }))}
+                                                            className="text-xs border border-gray-300 rounded px-1 py-1"
+                                                            title="Flag"
+                                                        >
+                                                            <option value={0}>No flag</option>
+                                                            {FLAGS.map(option => (
+                                                                <option key={option.value} value={option.value}>{option.name}</option>
+                                                            ))}
+                                                        </select>
+                                                        {isBuried && (
+                                                            <button
+                                                                onClick={() => updateCardStatus(card.id, unburyCard)}
+                                                                className="text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded hover:bg-gray-300"
+                                                            >
+                                                                Unbury
+                                                            </button>
+                                                        )}
+                                                        <button
+                                                            onClick={() => updateCardStatus(card.id, c => setCardSuspended(c, !c.suspended))}
+                                                            className="text-xs bg-yellow-500 text-white px-2 py-1 rounded hover:bg-yellow-600"
+                                                        >
+                                                            {card.suspended ? 'Unsuspend' : 'Suspend'}
+                                                        </button>
                                                         <button
                                                             onClick={() => startEditing(card.id)}
                                                             className="text-xs bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700"
@@ -0,0 +1,446 @@
+import { useParams, useNavigate } from 'react-router-dom'
+import { useState, useEffect, useCallback } from 'react'
+import { loadDeck } from '../utils/deckLibrary'
+import {
+    EXAM_MODES,
+    EXAM_ORDERS,
+    DEFAULT_EXAM_OPTIONS,
+    validateExamOptions,
+    getExamCards,
+    createExamQuestions,
+    scoreExam,
+    createExamResult,
+    saveExamResult,
+    getExamHistory,
+    formatExamTime
+} from '../utils/exam'
+
+const formatPercent = (score, total) => (total > 0 ? Math.round((score / total) * 100) : 0)
+
+export default function ExamPage() {
+    const { deckId } = useParams()
+    const navigate = useNavigate()
+    const [loading, setLoading] = useState(true)
+    const [deckData, setDeckData] = useState(null)
+    const [history, setHistory] = useState([])
+    const [questionCount, setQuestionCount] = useState(String(DEFAULT_EXAM_OPTIONS.questionCount))
+    const [order, setOrder] = useState(DEFAULT_EXAM_OPTIONS.order)
+    const [timeLimitMinutes, setTimeLimitMinutes] = useState(String(DEFAULT_EXAM_OPTIONS.timeLimitMinutes))
+    const [mode, setMode] = useState(DEFAULT_EXAM_OPTIONS.mode)
+    const [exam, setExam] = useState(null)
+    const [answers, setAnswers] = useState([])
+    const [questionIndex, setQuestionIndex] = useState(0)
+    const [now, setNow] = useState(Date.now())
+    const [result, setResult] = useState(null)
+
+    useEffect(() => {
+        const loadDeckData = async () => {
+            try {
+                setLoading(true)
+                const [deck, pastExams] = await Promise.all([loadDeck(deckId), getExamHistory(deckId)])
+                if (!deck) {
+                    console.error('Deck not found in storage:', deckId)
+                }
+                setDeckData(deck)
+                setHistory(pastExams)
+            } catch (error) {
+                console.error('Error loading deck:', error)
+                setDeckData(null)
+            } finally {
+                setLoading(false)
+            }
+        }
+
+        loadDeckData()
+    }, [deckId])
+
+    const finishExam = useCallback(async () => {
+        const items = scoreExam(exam.questions, answers, exam.options.mode)
+        const examResult = createExamResult(deckId, items, exam.options, exam.startedAt, new Date())
+        setExam(null)
+        setResult(examResult)
+        try {
+            const id = await saveExamResult(examResult)
+            setHistory(prev => [{ ...examResult, id }, ...prev])
+        } catch (error) {
+            console.error('Error saving exam result:', error)
+            alert('Failed to save exam result')
+        }
+    }, [deckId, exam, answers])
+
+    // Counts down while an exam is running and hands it in when time is up
+    useEffect(() => {
+        if (!exam) return
+        const interval = setInterval(() => setNow(Date.now()), 250)
+        return () => clearInterval(interval)
+    }, [exam])
+
+    useEffect(() => {
+        if (exam && now >= exam.deadline) {
+            finishExam()
+        }
+    }, [exam, now, finishExam])
+
+    const handleStartExam = () => {
+        const options = {
+            questionCount: Number(questionCount),
+            order,
+            timeLimitMinutes: Number(timeLimitMinutes),
+            mode
+        }
+        const error = validateExamOptions(options)
+        if (error) {
+            alert(error)
+            return
+        }
+
+        const questions = createExamQuestions(deckData.cards, options)
+        if (questions.length === 0) {
+            alert('This deck has no cards with both a front and a back to ask')
+            return
+        }
+
+        const startedAt = new Date()
+        setExam({
+            questions,
+            options,
+            startedAt,
+            deadline: startedAt.getTime() + options.timeLimitMinutes * 60 * 1000
+        })
+        setAnswers([])
+        setQuestionIndex(0)
+        setNow(startedAt.getTime())
+        setResult(null)
+    }
+
+    const setAnswer = (value) => {
+        setAnswers(prev => {
+            const updated = [...prev]
+            updated[questionIndex] = value
+            return updated
+        })
+    }
+
+    const handleHandIn = () => {
+        const unanswered = exam.questions.filter((_, index) => answers[index] === undefined || answers[index] === '').length
+        if (unanswered > 0 && !confirm(`${unanswered} ${unanswered === 1 ? 'question is' : 'questions are'} unanswered. Hand in anyway?`)) {
+            return
+        }
+        finishExam()
+    }
+
+    if (loading) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="text-center">
+                    <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent mx-auto mb-4"></div>
+                    <p className="text-gray-600">Loading deck...</p>
+                </div>
+            </div>
+        )
+    }
+
+    if (!deckData) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="text-center">
+                    <p className="text-gray-600 mb-4">Deck not found</p>
+                    <button
+                        onClick={() => navigate('/')}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg"
+                    >
+                        Back to Home
+                    </button>
+                </div>
+            </div>
+        )
+    }
+
+    const historyTable = history.length > 0 && (
+        <div className="mt-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Past exams</h2>
+            <table className="w-full text-sm border border-gray-200 rounded-lg">
+                <thead className="bg-gray-50 text-gray-600 text-left">
+                    <tr>
+                        <th className="px-3 py-2">Date</th>
+                        <th className="px-3 py-2">Score</th>
+                        <th className="px-3 py-2">Time</th>
+                        <th className="px-3 py-2"></th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                    {history.map(entry => (
+                        <tr key={entry.id} className={result?.takenAt === entry.takenAt ? 'bg-yellow-50' : ''}>
+                            <td className="px-3 py-2">{new Date(entry.takenAt).toLocaleString()}</td>
+                            <td className="px-3 py-2">
+                                {entry.score}/{entry.total} ({formatPercent(entry.score, entry.total)}%)
+                            </td>
+                            <td className="px-3 py-2">
+                                {formatExamTime(entry.durationMs)} / {formatExamTime(entry.timeLimitMs)}
+                            </td>
+                            <td className="px-3 py-2 text-right">
+                                <button
+                                    onClick={() => setResult(entry)}
+                                    className="text-blue-600 hover:text-blue-800 font-medium"
+                                >
+                                    View
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    )
+
+    // Scored report
+    if (result) {
+        return (
+            <div className="min-h-screen bg-gray-50">
+                <div className="container mx-auto px-4 py-6 max-w-3xl">
+                    <div className="bg-white rounded-lg shadow-sm p-8">
+                        <div className="text-center mb-6">
+                            <h1 className="text-2xl font-bold text-gray-900 mb-2">Exam report: {deckData.name}</h1>
+                            <p className="text-4xl font-bold text-blue-600">
+                                {result.score} / {result.total}
+                            </p>
+                            <p className="text-gray-600">
+                                {formatPercent(result.score, result.total)}% correct
+                                <span className="ml-4">
+                                    Time: {formatExamTime(result.durationMs)} of {formatExamTime(result.timeLimitMs)}
+                                </span>
+                            </p>
+                        </div>
+
+                        <ol className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                            {result.items.map((item, index) => (
+                                <li key={item.cardId} className={`p-3 text-sm ${item.correct ? '' : 'bg-red-50'}`}>
+                                    <p className="font-medium text-gray-900 whitespace-pre-wrap">
+                                        <span className={`mr-2 ${item.correct ? 'text-green-600' : 'text-red-600'}`}>
+                                            {item.correct ? '✓' : '✗'}
+                                        </span>
+                                        {index + 1}. {item.question}
+                                    </p>
+                                    <p className="text-gray-600 whitespace-pre-wrap">
+                                        Your answer:{' '}
+                                        {item.given === null || item.given === ''
+                                            ? <em>no answer</em>
+                                            : result.mode === EXAM_MODES.TYPED
+                                                ? item.given
+                                                : item.given ? 'Knew it' : 'Didn\'t know'}
+                                    </p>
+                                    <p className="text-green-700 whitespace-pre-wrap">Expected: {item.expected}</p>
+                                </li>
+                            ))}
+                        </ol>
+
+                        <div className="flex justify-center gap-3 mt-6">
+                            <button
+                                onClick={() => setResult(null)}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg"
+                            >
+                                New Exam
+                            </button>
+                            <button
+                                onClick={() => navigate('/')}
+                                className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+                            >
+                                Back to Home
+                            </button>
+                        </div>
+
+                        {historyTable}
+                    </div>
+                </div>
+            </div>
+        )
+    }
+
+    // Setup screen
+    if (!exam) {
+        const examCardCount = getExamCards(deckData.cards).length
+
+        return (
+            <div className="min-h-screen bg-gray-50">
+                <div className="container mx-auto px-4 py-6 max-w-2xl">
+                    <div className="bg-white rounded-lg shadow-sm p-8">
+                        <h1 className="text-2xl font-bold text-gray-900 mb-2">Exam: {deckData.name}</h1>
+                        <p className="text-gray-600 mb-6">
+                            Answer every question before time runs out. Results are only shown when you hand in.
+                        </p>
+                        {examCardCount === 0 && (
+                            <p className="text-sm text-red-600 mb-6">
+                                This deck has no cards with both a front and a back, so there is nothing to ask.
+                            </p>
+                        )}
+
+                        <div className="grid grid-cols-2 gap-4 text-sm text-gray-700 mb-6">
+                            <div>
+                                <label className="block font-medium mb-1">Questions</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max={examCardCount}
+                                    value={questionCount}
+                                    onChange={(e) => setQuestionCount(e.target.value)}
+                                    className="w-full border border-gray-300 rounded px-2 py-1"
+                                />
+                            </div>
+                            <div>
+                                <label className="block font-medium mb-1">Pick</label>
+                                <select
+                                    value={order}
+                                    onChange={(e) => setOrder(e.target.value)}
+                                    className="w-full border border-gray-300 rounded px-2 py-1"
+                                >
+                                    <option value={EXAM_ORDERS.RANDOM}>Random cards</option>
+                                    <option value={EXAM_ORDERS.DECK}>First cards of the deck</option>
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block font-medium mb-1">Time limit (minutes)</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={timeLimitMinutes}
+                                    onChange={(e) => setTimeLimitMinutes(e.target.value)}
+                                    className="w-full border border-gray-300 rounded px-2 py-1"
+                                />
+                            </div>
+                            <div>
+                                <label className="block font-medium mb-1">Answers</label>
+                                <select
+                                    value={mode}
+                                    onChange={(e) => setMode(e.target.value)}
+                                    className="w-full border border-gray-300 rounded px-2 py-1"
+                                >
+                                    <option value={EXAM_MODES.TYPED}>Typed</option>
+                                    <option value={EXAM_MODES.SELF_GRADED}>Self-graded</option>
+                                </select>
+                            </div>
+                        </div>
+
+                        <div className="flex justify-center gap-3">
+                            <button
+                                onClick={handleStartExam}
+                                disabled={examCardCount === 0}
+                                className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white font-semibold py-2 px-6 rounded-lg"
+                            >
+                                Start Exam
+                            </button>
+                            <button
+                                onClick={() => navigate('/')}
+                                className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+                            >
+                                ← Back to Home
+                            </button>
+                        </div>
+
+                        {historyTable}
+                    </div>
+                </div>
+            </div>
+        )
+    }
+
+    const question = exam.questions[questionIndex]
+    const answer = answers[questionIndex]
+    const remaining = exam.deadline - now
+    const isLastQuestion = questionIndex === exam.questions.length - 1
+
+    return (
+        <div className="min-h-screen bg-gray-50">
+            <div className="container mx-auto px-4 py-6 max-w-2xl">
+                <div className="flex items-center justify-between mb-6">
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-900">Exam: {deckData.name}</h1>
+                        <p className="text-gray-600">
+                            Question {questionIndex + 1} of {exam.questions.length}
+                            <span className="ml-4">
+                                Answered: {exam.questions.filter((_, index) => answers[index] !== undefined && answers[index] !== '').length}
+                            </span>
+                        </p>
+                    </div>
+                    <div className={`text-2xl font-mono font-bold ${remaining < 60 * 1000 ? 'text-red-600' : 'text-gray-700'}`}>
+                        {formatExamTime(remaining)}
+                    </div>
+                </div>
+
+                <div className="bg-white rounded-lg shadow-sm p-8">
+                    <div className="bg-gray-50 rounded-lg p-8 mb-6 text-center text-xl text-gray-700 whitespace-pre-wrap">
+                        {question.question}
+                    </div>
+
+                    {exam.options.mode === EXAM_MODES.TYPED ? (
+                        <input
+                            key={questionIndex}
+                            type="text"
+                            value={answer ?? ''}
+                            onChange={(e) => setAnswer(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter' && !isLastQuestion) {
+                                    setQuestionIndex(prev => prev + 1)
+                                }
+                            }}
+                            autoFocus
+                            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-lg"
+                            placeholder="Type your answer"
+                            aria-label="Your answer"
+                        />
+                    ) : (
+                        <div className="flex justify-center gap-3">
+                            <button
+                                onClick={() => setAnswer(true)}
+                                className={`font-semibold py-2 px-6 rounded-lg border-2 ${answer === true ? 'border-blue-600 bg-blue-600 text-white' : 'border-gray-300 text-gray-700 hover:border-blue-400'}`}
+                            >
+                                I knew it
+                            </button>
+                            <button
+                                onClick={() => setAnswer(false)}
+                                className={`font-semibold py-2 px-6 rounded-lg border-2 ${answer === false ? 'border-blue-600 bg-blue-600 text-white' : 'border-gray-300 text-gray-700 hover:border-blue-400'}`}
+                            >
+                                I didn&apos;t know
+                            </button>
+                        </div>
+                    )}
+
+                    <div className="flex justify-between mt-8">
+                        <button
+                            onClick={() => setQuestionIndex(prev => prev - 1)}
+                            disabled={questionIndex === 0}
+                            className="px-4 py-2 text-gray-600 hover:text-gray-800 disabled:text-gray-300 font-medium"
+                        >
+                            ← Previous
+                        </button>
+                        {isLastQuestion ? (
+                            <button
+                                onClick={handleHandIn}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg"
+                            >
+                                Hand In
+                            </button>
+                        ) : (
+                            <button
+                                onClick={() => setQuestionIndex(prev => prev + 1)}
+                                className="px-4 py-2 text-blue-600 hover:text-blue-800 font-medium"
+                            >
+                                Next →
+                            </button>
+                        )}
+                    </div>
+
+                    {!isLastQuestion && (
+                        <div className="text-center mt-4">
+                            <button
+                                onClick={handleHandIn}
+                                className="text-sm text-gray-500 hover:text-gray-700"
+                            >
+                                Hand in early
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -1,6 +1,32 @@
-import { useRef, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { validateJsonDeck, getJsonDeckInfo } from '../utils/jsonDeckValidator'
+import { isAnkiPackage, readAnkiPackage } from '../utils/apkgImporter'
+import { getCardDeckId } from '../utils/ankiImportOptions'
+import {
+    getDeckLibrary,
+    loadDeck,
+    deleteDeck,
+    duplicateDeck,
+    downloadDeckAsJson
+} from '../utils/deckLibrary'
+import { addPendingImport } from '../utils/pendingImport'
+import CustomStudyDialog from '../components/CustomStudyDialog'
+import AnkiImportWizard from '../components/AnkiImportWizard'
+
+/**
+ * Formats an ISO date for the deck library
+ * @param {string} isoDate - Date string, may be empty
+ * @param {string} fallback - Text shown when there is no date
+ * @returns {string} Localized date
+ */
+function formatDate(isoDate, fallback) {
+    if (!isoDate) return fallback
+    return new Date(isoDate).toLocaleString(undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    })
+}
 
 export default function HomePage() {
     const navigate = useNavigate()
@@ -11,37 +37,35 @@ export default function HomePage() {
     const [validationResult, setValidationResult] = useState(null)
     const [isNavigating, setIsNavigating] = useState(false)
     const [isDragging, setIsDragging] = useState(false)
+    const [decks, setDecks] = useState([])
+    const [isLoadingDecks, setIsLoadingDecks] = useState(true)
+    const [showCustomStudy, setShowCustomStudy] = useState(false)
+    const [showAnkiImport, setShowAnkiImport] = useState(false)
+
+    useEffect(() => {
+        refreshDecks()
+    }, [])
+
+    const refreshDecks = async () => {
+        setDecks(await getDeckLibrary())
+        setIsLoadingDecks(false)
+    }
 
     const handleImportClick = () => {
         fileInputRef.current?.click()
     }
 
-    const handleContinueImport = async () => {
-        if (selectedFile && validationResult) {
+    const openDeckEditor = (deckData, deckInfo) => {
+        if (selectedFile) {
             try {
                 setIsNavigating(true)
 
-                // Convert file to base64 for passing through navigation
-                const fileReader = new FileReader()
-                fileReader.onload = () => {
-                    const base64Data = fileReader.result
-
-                    // Navigate to import page with deck data
-                    navigate('/deck-editor', {
-                        state: {
-                            fileData: {
-                                name: selectedFile.name,
-                                size: selectedFile.size,
-                                type: selectedFile.type,
-                                lastModified: selectedFile.lastModified,
-                                base64: base64Data
-                            },
-                            deckData: validationResult.deckData,
-                            deckInfo: validationResult.deckInfo
-                        }
-                    })
-                }
-                fileReader.readAsDataURL(selectedFile)
+                // The file and deck stay in memory; history state is too small
+                // for large packages and review histories
+                const importId = addPendingImport({ file: selectedFile, deckData, deckInfo })
+
+                // Navigate to import page with deck data
+                navigate('/deck-editor', { state: { importId } })
             } catch (error) {
                 console.error('Error preparing file for navigation:', error)
                 setUploadStatus('Error preparing file. Please try again.')
@@ -50,6 +74,22 @@ export default function HomePage() {
         }
     }
 
+    const handleContinueImport = () => {
+        if (!validationResult) return
+
+        // Anki collections are imported through the wizard, which builds the deck
+        if (validationResult.collection) {
+            setShowAnkiImport(true)
+        } else {
+            openDeckEditor(validationResult.deckData, validationResult.deckInfo)
+        }
+    }
+
+    const handleAnkiImport = (deckData) => {
+        setShowAnkiImport(false)
+        openDeckEditor(deckData, getJsonDeckInfo(deckData))
+    }
+
     const handleFileSelect = async (event) => {
         const file = event.target.files[0]
         console.log('File selected via input:', file)
@@ -66,8 +106,9 @@ export default function HomePage() {
         }
 
         // Basic validation: check file extension
-        if (!file.name.toLowerCase().endsWith('.json')) {
-            setUploadStatus('Please select a valid .json file')
+        const isAnkiFile = isAnkiPackage(file.name)
+        if (!isAnkiFile && !file.name.toLowerCase().endsWith('.json')) {
+            setUploadStatus('Please select a valid .json, .apkg or .colpkg file')
             setSelectedFile(null)
             setValidationResult(null)
             return
@@ -80,7 +121,24 @@ export default function HomePage() {
         setValidationResult(null)
 
         try {
-            // Validate the JSON deck file
+            if (isAnkiFile) {
+                const result = await readAnkiPackage(file)
+                if (result.isValid) {
+                    const { collection } = result
+                    setSelectedFile(file)
+                    setValidationResult({ collection })
+                    setUploadStatus(
+                        `✓ Anki collection: ${new Set(collection.cards.map(getCardDeckId)).size} decks, ` +
+                        `${collection.notes.length} notes ` +
+                        `(${(file.size / 1024).toFixed(1)} KB)`
+                    )
+                } else {
+                    setUploadStatus(result.error)
+                }
+                return
+            }
+
+            // Validate the deck file
             const validation = await validateJsonDeck(file)
 
             if (validation.isValid) {
@@ -145,6 +203,42 @@ export default function HomePage() {
         }
     }
 
+    const handleDuplicateDeck = async (deckId) => {
+        try {
+            await duplicateDeck(deckId)
+            await refreshDecks()
+        } catch (error) {
+            console.error('Error duplicating deck:', error)
+            alert('Error duplicating deck. Please try again.')
+        }
+    }
+
+    const handleExportDeck = async (deckId) => {
+        try {
+            const deck = await loadDeck(deckId)
+            if (!deck) {
+                alert('This deck could not be found. It may have been deleted.')
+                await refreshDecks()
+                return
+            }
+            downloadDeckAsJson(deck)
+        } catch (error) {
+            console.error('Error exporting deck:', error)
+            alert('Error exporting deck. Please try again.')
+        }
+    }
+
+    const handleDeleteDeck = async (deck) => {
+        if (!confirm(`Delete "${deck.name}" and all of its ${deck.cardCount} cards?\n\nThis action cannot be undone.`)) return
+        try {
+            await deleteDeck(deck.id)
+            await refreshDecks()
+        } catch (error) {
+            console.error('Error deleting deck:', error)
+            alert('Error deleting deck. Please try again.')
+        }
+    }
+
     return (
         <div className="min-h-screen bg-gray-50">
             <div className="container mx-auto px-4 py-8">
@@ -191,23 +285,23 @@ export default function HomePage() {
                                 Import Deck
                             </h2>
                             <p className="text-gray-600 mb-6 flex-grow">
-                                Import an existing JSON flashcard deck
+                                Import a JSON flashcard deck or an Anki package (.apkg, .colpkg)
                             </p>
                             <div className="mt-auto flex flex-col gap-2">
                                 <button 
                                     onClick={handleImportClick}
                                     className="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-3 px-8 rounded-lg transition-colors duration-200 shadow-md hover:shadow-lg h-12"
                                 >
-                                    Choose JSON file
+                                    Choose file
                                 </button>
                                 <div className="text-center text-gray-500 text-sm mt-2">
-                                    or drag and drop your JSON file here
+                                    or drag and drop your deck file here
                                 </div>
                                 {/* Hidden file input */}
                                 <input
                                     ref={fileInputRef}
                                     type="file"
-                                    accept=".json"
+                                    accept=".json,.apkg,.colpkg"
                                     onChange={handleFileSelect}
                                     className="hidden"
                                 />
@@ -234,8 +328,111 @@ export default function HomePage() {
                             </div>
                         </div>
                     </div>
+
+                    {/* Deck library */}
+                    <section className="mt-12">
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-2xl font-semibold text-gray-900">
+                                Your Decks
+                            </h2>
+                            {decks.length > 0 && (
+                                <button
+                                    onClick={() => setShowCustomStudy(true)}
+                                    className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-1 px-3 rounded text-sm"
+                                >
+                                    Custom Study
+                                </button>
+                            )}
+                        </div>
+                        {isLoadingDecks ? (
+                            <div className="bg-white rounded-lg shadow-sm p-6 text-center text-gray-600">
+                                Loading decks...
+                            </div>
+                        ) : decks.length === 0 ? (
+                            <div className="bg-white rounded-lg shadow-sm p-6 text-center text-gray-600">
+                                You have no saved decks yet. Create or import one to get started.
+                            </div>
+                        ) : (
+                            <ul className="bg-white rounded-lg shadow-sm divide-y divide-gray-200">
+                                {decks.map(deck => (
+                                    <li key={deck.id} className="p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                                        <div>
+                                            <h3 className="text-lg font-medium text-gray-900">{deck.name}</h3>
+                                            <p className="text-sm text-gray-500">
+                                                {deck.cardCount} cards
+                                                <span className="ml-4">Created: {formatDate(deck.createdAt, 'Unknown')}</span>
+                                                <span className="ml-4">Last studied: {formatDate(deck.lastStudiedAt, 'Never')}</span>
+                                            </p>
+                                        </div>
+                                        <div className="flex flex-wrap gap-2">
+                                            <button
+                                                onClick={() => navigate(`/practice/${deck.id}`)}
+                                                className="bg-blue-600 hover:bg-blue-700 text-white font-medium py-1 px-3 rounded text-sm"
+                                            >
+                                                Practice
+                                            </button>
+                                            <button
+                                                onClick={() => navigate(`/quiz/${deck.id}`)}
+                                                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-1 px-3 rounded text-sm"
+                                            >
+                                                Quiz
+                                            </button>
+                                            <button
+                                                onClick={() => navigate(`/match/${deck.id}`)}
+                                                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-1 px-3 rounded text-sm"
+                                            >
+                                                Match
+                                            </button>
+                                            <button
+                                                onClick={() => navigate(`/exam/${deck.id}`)}
+                                                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-1 px-3 rounded text-sm"
+                                            >
+                                                Exam
+                                            </button>
+                                            <button
+                                                onClick={() => navigate(`/deck-editor/${deck.id}`)}
+                                                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-1 px-3 rounded text-sm"
+                                            >
+                                                Edit
+                                            </button>
+                                            <button
+                                                onClick={() => handleDuplicateDeck(deck.id)}
+                                                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-1 px-3 rounded text-sm"
+                                            >
+                                                Duplicate
+                                            </button>
+                                            <button
+                                                onClick={() => handleExportDeck(deck.id)}
+                                                className="bg-gray-100 hover:bg-gray-200 text-gray-700 font-medium py-1 px-3 rounded text-sm"
+                                            >
+                                                Export
+                                            </button>
+                                            <button
+                                                onClick={() => handleDeleteDeck(deck)}
+                                                className="bg-red-600 hover:bg-red-700 text-white font-medium py-1 px-3 rounded text-sm"
+                                            >
+                                                Delete
+                                            </button>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </section>
                 </div>
             </div>
+
+            {showCustomStudy && (
+                <CustomStudyDialog decks={decks} onClose={() => setShowCustomStudy(false)} />
+            )}
+
+            {showAnkiImport && validationResult?.collection && (
+                <AnkiImportWizard
+                    collection={validationResult.collection}
+                    onImport={handleAnkiImport}
+                    onClose={() => setShowAnkiImport(false)}
+                />
+            )}
         </div>
     )
 }
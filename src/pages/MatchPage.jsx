@@ -0,0 +1,297 @@
+import { useParams, useNavigate } from 'react-router-dom'
+import { useState, useEffect, useRef } from 'react'
+import { playSound } from '../utils/soundEffects'
+import { loadDeck } from '../utils/deckLibrary'
+import {
+    DEFAULT_PAIR_COUNT,
+    MIN_PAIR_COUNT,
+    MAX_PAIR_COUNT,
+    createMatchTiles,
+    isMatchingPair,
+    formatMatchTime,
+    getMatchableCards,
+    getMatchLeaderboard,
+    recordMatchResult
+} from '../utils/matchGame'
+
+// How long a wrong pair stays highlighted before it can be picked again
+const MISMATCH_DELAY_MS = 600
+
+export default function MatchPage() {
+    const { deckId } = useParams()
+    const navigate = useNavigate()
+    const [loading, setLoading] = useState(true)
+    const [deckData, setDeckData] = useState(null)
+    const [pairCount, setPairCount] = useState(DEFAULT_PAIR_COUNT)
+    const [tiles, setTiles] = useState(null)
+    const [selectedTile, setSelectedTile] = useState(null)
+    const [mismatchedIds, setMismatchedIds] = useState([])
+    const [matchedIds, setMatchedIds] = useState([])
+    const [mistakes, setMistakes] = useState(0)
+    const [startedAt, setStartedAt] = useState(null)
+    const [elapsed, setElapsed] = useState(0)
+    const [result, setResult] = useState(null)
+    const [leaderboard, setLeaderboard] = useState([])
+    const mismatchTimeout = useRef(null)
+
+    useEffect(() => {
+        const loadDeckData = async () => {
+            try {
+                setLoading(true)
+                const deck = await loadDeck(deckId)
+                if (!deck) {
+                    console.error('Deck not found in storage:', deckId)
+                }
+                setDeckData(deck)
+            } catch (error) {
+                console.error('Error loading deck:', error)
+                setDeckData(null)
+            } finally {
+                setLoading(false)
+            }
+        }
+
+        loadDeckData()
+    }, [deckId])
+
+    const gameSize = deckData
+        ? Math.min(pairCount, MAX_PAIR_COUNT, getMatchableCards(deckData.cards).length)
+        : 0
+
+    useEffect(() => {
+        if (!deckData || gameSize < MIN_PAIR_COUNT) return
+        getMatchLeaderboard(deckId, gameSize)
+            .then(setLeaderboard)
+            .catch(error => console.error('Error loading leaderboard:', error))
+    }, [deckId, deckData, gameSize])
+
+    // Runs the clock while a game is in progress
+    useEffect(() => {
+        if (!startedAt || result) return
+        const interval = setInterval(() => setElapsed(Date.now() - startedAt), 100)
+        return () => clearInterval(interval)
+    }, [startedAt, result])
+
+    useEffect(() => () => clearTimeout(mismatchTimeout.current), [])
+
+    const handleStartGame = () => {
+        clearTimeout(mismatchTimeout.current)
+        setTiles(createMatchTiles(deckData.cards, gameSize))
+        setSelectedTile(null)
+        setMismatchedIds([])
+        setMatchedIds([])
+        setMistakes(0)
+        setElapsed(0)
+        setResult(null)
+        setStartedAt(Date.now())
+    }
+
+    const finishGame = async (mistakeCount) => {
+        const timeMs = Date.now() - startedAt
+        setElapsed(timeMs)
+        try {
+            const { leaderboard: updatedLeaderboard, rank } = await recordMatchResult(deckId, {
+                timeMs,
+                mistakes: mistakeCount,
+                pairCount: gameSize
+            })
+            setLeaderboard(updatedLeaderboard)
+            setResult({ timeMs, mistakes: mistakeCount, rank })
+        } catch (error) {
+            console.error('Error saving match result:', error)
+            setResult({ timeMs, mistakes: mistakeCount, rank: null })
+        }
+    }
+
+    const handleTileClick = (tile) => {
+        if (result || matchedIds.includes(tile.id) || mismatchedIds.length > 0) return
+
+        if (!selectedTile || selectedTile.side === tile.side) {
+            setSelectedTile(selectedTile?.id === tile.id ? null : tile)
+            return
+        }
+
+        if (isMatchingPair(selectedTile, tile)) {
+            playSound('correct')
+            const updatedMatches = [...matchedIds, selectedTile.id, tile.id]
+            setMatchedIds(updatedMatches)
+            setSelectedTile(null)
+            if (updatedMatches.length === tiles.length) {
+                finishGame(mistakes)
+            }
+        } else {
+            playSound('incorrect')
+            setMistakes(prev => prev + 1)
+            setMismatchedIds([selectedTile.id, tile.id])
+            setSelectedTile(null)
+            mismatchTimeout.current = setTimeout(() => setMismatchedIds([]), MISMATCH_DELAY_MS)
+        }
+    }
+
+    const handleQuit = () => {
+        clearTimeout(mismatchTimeout.current)
+        setTiles(null)
+        setStartedAt(null)
+    }
+
+    const tileClassName = (tile) => {
+        if (matchedIds.includes(tile.id)) return 'border-green-300 bg-green-50 text-green-700 opacity-50'
+        if (mismatchedIds.includes(tile.id)) return 'border-red-500 bg-red-50 text-red-800'
+        if (selectedTile?.id === tile.id) return 'border-blue-500 bg-blue-50 text-blue-900'
+        return 'border-gray-300 bg-white text-gray-800 hover:border-blue-400'
+    }
+
+    if (loading) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="text-center">
+                    <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent mx-auto mb-4"></div>
+                    <p className="text-gray-600">Loading deck...</p>
+                </div>
+            </div>
+        )
+    }
+
+    if (!deckData) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="text-center">
+                    <p className="text-gray-600 mb-4">Deck not found</p>
+                    <button
+                        onClick={() => navigate('/')}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg"
+                    >
+                        Back to Home
+                    </button>
+                </div>
+            </div>
+        )
+    }
+
+    const maxPairs = Math.min(MAX_PAIR_COUNT, getMatchableCards(deckData.cards).length)
+
+    const leaderboardTable = (
+        <div>
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Best times ({gameSize} pairs)</h2>
+            {leaderboard.length === 0 ? (
+                <p className="text-sm text-gray-500">No games played yet</p>
+            ) : (
+                <ol className="divide-y divide-gray-200 border border-gray-200 rounded-lg text-sm">
+                    {leaderboard.map((entry, index) => (
+                        <li
+                            key={entry.playedAt}
+                            className={`flex justify-between px-3 py-2 ${result?.rank === index + 1 ? 'bg-yellow-50 font-semibold' : ''}`}
+                        >
+                            <span>{index + 1}. {formatMatchTime(entry.timeMs)}</span>
+                            <span className="text-gray-500">
+                                {entry.mistakes} {entry.mistakes === 1 ? 'mistake' : 'mistakes'}
+                                <span className="ml-3">{new Date(entry.playedAt).toLocaleDateString()}</span>
+                            </span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    )
+
+    // Setup and result screens
+    if (!tiles || result) {
+        return (
+            <div className="min-h-screen bg-gray-50">
+                <div className="container mx-auto px-4 py-6 max-w-2xl">
+                    <div className="bg-white rounded-lg shadow-sm p-8">
+                        <div className="text-center mb-6">
+                            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                                {result ? 'All matched!' : `Match: ${deckData.name}`}
+                            </h1>
+                            {result && (
+                                <>
+                                    <p className="text-4xl font-bold text-blue-600">{formatMatchTime(result.timeMs)}</p>
+                                    <p className="text-gray-600">
+                                        {result.mistakes} {result.mistakes === 1 ? 'mistake' : 'mistakes'}
+                                        {result.rank && <span className="ml-4">#{result.rank} on the leaderboard</span>}
+                                    </p>
+                                </>
+                            )}
+                        </div>
+
+                        {maxPairs < MIN_PAIR_COUNT ? (
+                            <p className="text-center text-gray-600 mb-6">
+                                This deck needs at least {MIN_PAIR_COUNT} cards with different fronts and backs to play.
+                            </p>
+                        ) : (
+                            <>
+                                <div className="text-center mb-6">
+                                    <label className="inline-flex items-center gap-2 text-gray-700 mr-4">
+                                        Pairs
+                                        <select
+                                            value={gameSize}
+                                            onChange={(e) => setPairCount(Number(e.target.value))}
+                                            className="border border-gray-300 rounded px-2 py-1"
+                                        >
+                                            {Array.from({ length: maxPairs - MIN_PAIR_COUNT + 1 }, (_, i) => MIN_PAIR_COUNT + i).map(count => (
+                                                <option key={count} value={count}>{count}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <button
+                                        onClick={handleStartGame}
+                                        className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg"
+                                    >
+                                        {result ? 'Play Again' : 'Start'}
+                                    </button>
+                                </div>
+                                {leaderboardTable}
+                            </>
+                        )}
+
+                        <div className="text-center mt-6">
+                            <button
+                                onClick={() => navigate('/')}
+                                className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+                            >
+                                ← Back to Home
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        )
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50">
+            <div className="container mx-auto px-4 py-6 max-w-4xl">
+                <div className="flex items-center justify-between mb-6">
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-900">Match: {deckData.name}</h1>
+                        <p className="text-gray-600">
+                            <span className="font-mono">{formatMatchTime(elapsed)}</span>
+                            <span className="ml-4">Matched: {matchedIds.length / 2}/{tiles.length / 2}</span>
+                            <span className="ml-4">Mistakes: {mistakes}</span>
+                        </p>
+                    </div>
+                    <button
+                        onClick={handleQuit}
+                        className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+                    >
+                        Quit
+                    </button>
+                </div>
+
+                <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3">
+                    {tiles.map(tile => (
+                        <button
+                            key={tile.id}
+                            onClick={() => handleTileClick(tile)}
+                            disabled={matchedIds.includes(tile.id)}
+                            className={`min-h-24 border-2 rounded-lg p-3 text-center whitespace-pre-wrap break-words transition-colors ${tileClassName(tile)}`}
+                        >
+                            {tile.text}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
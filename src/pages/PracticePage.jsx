@@ -1,80 +1,232 @@
-import { useParams, useNavigate } from 'react-router-dom'
+import { useParams, useNavigate, useLocation } from 'react-router-dom'
 import { useState, useEffect, useRef } from 'react'
 import { playSound, toggleMute, isSoundMuted } from '../utils/soundEffects'
+import { loadDeck, markDeckStudied, restoreDeckStudyDay } from '../utils/deckLibrary'
+import { putCards, getSetting, setSetting } from '../utils/storage'
+import {
+	GRADES,
+	getCardState,
+	getSchedulerOptions,
+	scheduleCard,
+	previewIntervals,
+	formatInterval,
+	getNextDueDate
+} from '../utils/scheduler'
+import {
+	findStudyItem,
+	countAnswerToday,
+	buildDeckStudyQueue,
+	createSession,
+	answerCurrentCard,
+	answerCurrentCramCard,
+	skipCurrentCard,
+	getSessionProgress,
+	restoreSession,
+	countGrades,
+	summarizeSession
+} from '../utils/practiceSession'
+import { FLAGS, getCardFlag, setCardSuspended, buryCard, toggleCardFlag } from '../utils/cardStatus'
+import { getPresetForDeck } from '../utils/deckPresets'
+import { createReviewLogEntry, logReview, removeReview } from '../utils/reviewLog'
+import { loadCustomStudy } from '../utils/customStudy'
+import { DIRECTIONS, getQuestion, getAnswer, getExpectedAnswer, toStoredCard, isItemOfCard } from '../utils/cardDirections'
+import { DEFAULT_TYPE_ANSWER_OPTIONS, diffAnswer } from '../utils/answerDiff'
+import { isLeechAnswer, markLeech } from '../utils/leeches'
+import { loadSessionProgress, saveSessionProgress, clearSessionProgress } from '../utils/sessionProgress'
+import { loadMediaUrls, revokeMediaUrls } from '../utils/media'
+import SessionSummary from '../components/SessionSummary'
+import CardContent from '../components/CardContent'
+
+// Answer buttons, bound to keys 1-4
+const GRADE_BUTTONS = [
+	{ grade: GRADES.AGAIN, label: 'Again', className: 'bg-red-600 hover:bg-red-700' },
+	{ grade: GRADES.HARD, label: 'Hard', className: 'bg-orange-500 hover:bg-orange-600' },
+	{ grade: GRADES.GOOD, label: 'Good', className: 'bg-green-600 hover:bg-green-700' },
+	{ grade: GRADES.EASY, label: 'Easy', className: 'bg-blue-500 hover:bg-blue-600' }
+]
+
+// How many answers can be undone within a session
+const MAX_UNDO_STEPS = 50
+
+// Typed-answer mode and its leniency options, shared by all decks
+const TYPE_ANSWER_SETTING = 'typeAnswer'
+const DEFAULT_TYPE_ANSWER_SETTINGS = { enabled: false, ...DEFAULT_TYPE_ANSWER_OPTIONS }
+
+const DIFF_CLASSES = {
+	correct: 'text-green-700',
+	extra: 'text-red-600 line-through',
+	missing: 'text-gray-500 bg-gray-200'
+}
+
+const STATE_LABELS = {
+	new: { text: 'New', className: 'bg-blue-100 text-blue-700' },
+	learning: { text: 'Learning', className: 'bg-orange-100 text-orange-700' },
+	relearning: { text: 'Relearning', className: 'bg-red-100 text-red-700' },
+	review: { text: 'Review', className: 'bg-green-100 text-green-700' }
+}
 
 export default function PracticePage() {
 	const { deckId } = useParams()
+	const location = useLocation()
 	const navigate = useNavigate()
+	// Custom study sessions arrive without a deck ID, with their options in the location state
+	const customStudy = deckId ? null : location.state?.customStudy
+	const [isRestudy, setIsRestudy] = useState(false)
+	// Re-studying cards from the session summary never changes their schedule
+	const isCramMode = !!customStudy?.cram || isRestudy
 	const [loading, setLoading] = useState(true)
 	const [deckData, setDeckData] = useState(null)
-	const [currentCardIndex, setCurrentCardIndex] = useState(0)
+	const [studyDecks, setStudyDecks] = useState({})
+	const [session, setSession] = useState(null)
 	const [showAnswer, setShowAnswer] = useState(false)
 	const [isFlipping, setIsFlipping] = useState(false)
 	const [isMuted, setIsMuted] = useState(isSoundMuted())
-	const [practiceStats, setPracticeStats] = useState({
-		correct: 0,
-		incorrect: 0,
-		remaining: 0
-	})
+	const [sessionAnswers, setSessionAnswers] = useState([])
+	const [sessionStartedAt, setSessionStartedAt] = useState(Date.now())
+	const [summary, setSummary] = useState(null)
+	const [savedProgress, setSavedProgress] = useState(null)
+	const [leechNotice, setLeechNotice] = useState(null)
+	const [mediaUrls, setMediaUrls] = useState({})
+	const [undoStack, setUndoStack] = useState([])
+	const [typeAnswerSettings, setTypeAnswerSettings] = useState(DEFAULT_TYPE_ANSWER_SETTINGS)
+	const [typedAnswer, setTypedAnswer] = useState('')
 	const progressBarRef = useRef(null)
+	const cardShownAtRef = useRef(Date.now())
 	const [progressColor, setProgressColor] = useState('#2563eb')
 
 	useEffect(() => {
 		loadDeckData()
-	}, [deckId])
+	}, [deckId, location.state])
 
 	useEffect(() => {
-		if (deckData) {
-			setPracticeStats(prev => ({
-				...prev,
-				remaining: deckData.cards.length
-			}))
+		getSetting(TYPE_ANSWER_SETTING, DEFAULT_TYPE_ANSWER_SETTINGS)
+			.then(settings => setTypeAnswerSettings({ ...DEFAULT_TYPE_ANSWER_SETTINGS, ...settings }))
+			.catch(error => console.error('Error loading typed answer settings:', error))
+	}, [])
+
+	// Object URLs for the images and sounds of the decks being studied,
+	// released when the decks change or the page is left
+	const studyDeckIds = Object.keys(studyDecks).join(' ')
+	useEffect(() => {
+		if (!studyDeckIds) return
+
+		let isCurrent = true
+		let urlsByDeck = {}
+		Promise.all(studyDeckIds.split(' ').map(async id => [id, await loadMediaUrls(id)]))
+			.then(entries => {
+				urlsByDeck = Object.fromEntries(entries)
+				if (isCurrent) {
+					setMediaUrls(urlsByDeck)
+				} else {
+					Object.values(urlsByDeck).forEach(revokeMediaUrls)
+				}
+			})
+			.catch(error => console.error('Error loading media:', error))
+
+		return () => {
+			isCurrent = false
+			Object.values(urlsByDeck).forEach(revokeMediaUrls)
 		}
-	}, [deckData])
+	}, [studyDeckIds])
+
+	// Time each card from when it is shown, for the review log
+	useEffect(() => {
+		cardShownAtRef.current = Date.now()
+		setTypedAnswer('')
+	}, [session])
 
 	// Add keyboard event listener
 	useEffect(() => {
 		const handleKeyPress = (event) => {
-			// Only handle keyboard events if we have deck data
-			if (!deckData) return
+			// Only handle keyboard events while there is a card to study
+			if (!deckData || !session?.current || savedProgress) return
+			// Leave keys typed into form fields alone
+			if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return
+
+			// Ctrl+Z (Cmd+Z on macOS) undoes the last answer
+			if ((event.ctrlKey || event.metaKey) && event.code === 'KeyZ') {
+				event.preventDefault()
+				handleUndo()
+				return
+			}
+			// Leave browser shortcuts such as Ctrl+S (save page) alone
+			if (event.ctrlKey || event.metaKey || event.altKey) return
 
 			// Spacebar to toggle answer
 			if (event.code === 'Space') {
 				event.preventDefault() // Prevent page scroll
 				handleToggleAnswer()
 			}
-			// Left arrow for incorrect
-			else if (event.code === 'ArrowLeft' && showAnswer) {
-				handleNextCard(false)
+			// Shift+1-7 toggles a flag
+			else if (event.shiftKey && /^Digit[1-7]$/.test(event.code)) {
+				handleFlagCard(Number(event.code.slice(-1)))
+			}
+			// Keys 1-4 grade the card once the answer is shown
+			else if (showAnswer && /^(Digit|Numpad)[1-4]$/.test(event.code)) {
+				handleAnswer(Number(event.code.slice(-1)))
+			}
+			// B buries the card until tomorrow, S suspends it
+			else if (event.code === 'KeyB') {
+				handleBuryCard()
 			}
-			// Right arrow for correct
-			else if (event.code === 'ArrowRight' && showAnswer) {
-				handleNextCard(true)
+			else if (event.code === 'KeyS') {
+				handleSuspendCard()
 			}
 		}
 
 		window.addEventListener('keydown', handleKeyPress)
 		return () => window.removeEventListener('keydown', handleKeyPress)
-	}, [deckData, showAnswer]) // Re-run effect when these values change
+	}, [deckData, studyDecks, session, showAnswer, undoStack, savedProgress]) // Re-run effect when these values change
+
+	// Keep a deck's unfinished session so a reload can resume it
+	useEffect(() => {
+		// Leave the saved session alone until the user has chosen whether to resume it
+		if (loading || !deckId || !session || savedProgress) return
+
+		if (session.current) {
+			saveSessionProgress(deckId, {
+				session,
+				answers: sessionAnswers,
+				startedAt: sessionStartedAt,
+				restudy: isRestudy
+			}).catch(error => {
+				console.error('Error saving session progress:', error)
+			})
+		} else {
+			clearSessionProgress(deckId).catch(error => {
+				console.error('Error clearing session progress:', error)
+			})
+		}
+	}, [loading, deckId, session, sessionAnswers, sessionStartedAt, isRestudy, savedProgress])
 
 	const loadDeckData = async () => {
 		try {
 			setLoading(true)
 
-			// Load deck data from localStorage
-			const deckKey = `ankiweb_deck_${deckId}`
-			const storedDeck = localStorage.getItem(deckKey)
+			if (!deckId) {
+				await loadCustomStudyData()
+				return
+			}
 
-			if (!storedDeck) {
-				console.error('Deck not found in localStorage:', deckKey)
+			// Load deck data from storage
+			const parsedDeck = await loadDeck(deckId)
+
+			if (!parsedDeck) {
+				console.error('Deck not found in storage:', deckId)
 				setDeckData(null)
 				return
 			}
 
-			const parsedDeck = JSON.parse(storedDeck)
 			console.log('Loaded deck data:', parsedDeck)
 
+			const deckPreset = await getPresetForDeck(parsedDeck)
 			setDeckData(parsedDeck)
+			setStudyDecks({ [parsedDeck.id]: { deck: parsedDeck, preset: deckPreset } })
+			startSession(buildDeckStudyQueue(parsedDeck, parsedDeck.cards, { preset: deckPreset }), false)
+			setSavedProgress(await loadSessionProgress(parsedDeck.id, parsedDeck.cards).catch(error => {
+				console.error('Error loading session progress:', error)
+				return null
+			}))
 
 		} catch (error) {
 			console.error('Error loading deck:', error)
@@ -84,6 +236,45 @@ export default function PracticePage() {
 		}
 	}
 
+	const loadCustomStudyData = async () => {
+		if (!customStudy) {
+			setDeckData(null)
+			return
+		}
+
+		const { decks, cards: studyItems } = await loadCustomStudy(customStudy.deckIds, customStudy.filters)
+		const presets = await Promise.all(decks.map(getPresetForDeck))
+		setDeckData({
+			name: decks.length === 1 ? `Custom Study: ${decks[0].name}` : 'Custom Study',
+			cards: decks.flatMap(deck => deck.cards)
+		})
+		setStudyDecks(Object.fromEntries(decks.map((deck, index) => [deck.id, { deck, preset: presets[index] }])))
+		startSession(studyItems, false)
+	}
+
+	// Starts a fresh session, clearing the previous one's answers and summary
+	const startSession = (studyItems, restudy) => {
+		setSession(createSession(studyItems))
+		setShowAnswer(false)
+		setSessionAnswers([])
+		setSessionStartedAt(Date.now())
+		setUndoStack([])
+		setSummary(null)
+		setIsRestudy(restudy)
+	}
+
+	// Replaces the stored deck record of a card's deck, e.g. with new daily counters
+	const updateStudyDeck = (cardDeckId, changes) => {
+		setStudyDecks(prev => ({
+			...prev,
+			[cardDeckId]: { ...prev[cardDeckId], deck: { ...prev[cardDeckId].deck, ...changes } }
+		}))
+	}
+
+	// The current study item, and the stored card it belongs to
+	const getCurrentItem = () => findStudyItem(deckData.cards, session.current)
+	const getStoredCard = (item) => deckData.cards.find(c => isItemOfCard(c, item))
+
 	const handleBackToDeck = () => {
 		navigate('/')
 	}
@@ -99,47 +290,202 @@ export default function PracticePage() {
 		}, 150) // Half of the animation duration
 	}
 
-	const handleNextCard = (wasCorrect) => {
-		// Update stats
-		setPracticeStats(prev => ({
-			correct: wasCorrect ? prev.correct + 1 : prev.correct,
-			incorrect: !wasCorrect ? prev.incorrect + 1 : prev.incorrect,
-			remaining: prev.remaining - 1
-		}))
+	const handleAnswer = (grade) => {
+		const now = new Date()
+		const item = getCurrentItem()
+		const card = getStoredCard(item)
+		const { deck, preset } = studyDecks[card.deckId]
+		const previousState = getCardState(item)
+		let updatedCards = deckData.cards
+		let nextSession
+		let reviewLogId = Promise.resolve(null)
+		const updatedAnswers = [...sessionAnswers, { key: session.current, grade }]
 
-		// Move to next card or finish
-		if (currentCardIndex < deckData.cards.length - 1) {
-			setCurrentCardIndex(prev => prev + 1)
-			setShowAnswer(false)
+		if (isCramMode) {
+			// Cram mode leaves the card's schedule, counters and review log alone
+			nextSession = answerCurrentCramCard(session, grade, now)
 		} else {
+			// Schedule the card in the direction it was studied and persist its new state
+			const updatedItem = {
+				...item,
+				srs: scheduleCard(previousState, grade, now, getSchedulerOptions(deck, preset))
+			}
+			let updatedCard = toStoredCard(card, updatedItem)
+			const becameLeech = isLeechAnswer(previousState, updatedItem.srs, preset)
+			if (becameLeech) {
+				updatedCard = markLeech(updatedCard, preset.leechAction)
+			}
+			const reviewLogEntry = createReviewLogEntry(
+				item, previousState, updatedItem.srs, grade, now, now - cardShownAtRef.current
+			)
+			updatedCards = deckData.cards.map(c => isItemOfCard(c, item) ? updatedCard : c)
+
+			putCards(updatedCard).catch(error => {
+				console.error('Error saving card schedule:', error)
+			})
+			markDeckStudied(card.deckId, previousState).catch(error => {
+				console.error('Error updating study counters:', error)
+			})
+			reviewLogId = logReview(reviewLogEntry).catch(error => {
+				console.error('Error saving review log:', error)
+				return null
+			})
+			setDeckData(prev => ({ ...prev, cards: updatedCards }))
+			updateStudyDeck(card.deckId, { studyDay: countAnswerToday(deck, previousState, now) })
+
+			// Move to the next card; cards still in their steps come back later
+			nextSession = answerCurrentCard(session, updatedItem, now)
+			if (updatedCard.suspended) {
+				// A leech that was suspended leaves the session in both directions
+				nextSession = restoreSession(nextSession, updatedCards, now)
+			}
+			setLeechNotice(becameLeech
+				? `This card is a leech and was tagged "leech"${updatedCard.suspended ? ' and suspended' : ''}.`
+				: null)
+		}
+
+		// Remember everything the answer changed so it can be undone
+		setUndoStack(prev => [...prev, {
+			card,
+			session,
+			sessionAnswers,
+			studyDay: deck.studyDay,
+			reviewLogId
+		}].slice(-MAX_UNDO_STEPS))
+
+		setSessionAnswers(updatedAnswers)
+		setSession(nextSession)
+		setShowAnswer(false)
+
+		if (!nextSession.current) {
 			// Practice session complete
-			handlePracticeComplete()
+			handlePracticeComplete(updatedCards, updatedAnswers, {
+				...deck,
+				studyDay: isCramMode ? deck.studyDay : countAnswerToday(deck, previousState, now)
+			}, now)
 		}
 	}
 
-	const handlePracticeComplete = () => {
-		const accuracy = Math.round((practiceStats.correct / deckData.cards.length) * 100)
-		const message = `Practice session complete!\n\n` +
-			`Correct: ${practiceStats.correct}\n` +
-			`Incorrect: ${practiceStats.incorrect}\n` +
-			`Accuracy: ${accuracy}%\n\n` +
-			`Would you like to practice again?`
-
-		if (confirm(message)) {
-			// Reset practice session
-			setCurrentCardIndex(0)
+	// Stores a change to the current card made without answering it
+	const updateCurrentCard = (updatedCard, leaveSession) => {
+		const card = getStoredCard(updatedCard)
+		setDeckData(prev => ({
+			...prev,
+			cards: prev.cards.map(c => isItemOfCard(c, updatedCard) ? updatedCard : c)
+		}))
+		putCards(updatedCard).catch(error => {
+			console.error('Error saving card:', error)
+		})
+
+		setUndoStack(prev => [...prev, {
+			card,
+			session,
+			sessionAnswers,
+			studyDay: studyDecks[card.deckId].deck.studyDay,
+			reviewLogId: Promise.resolve(null)
+		}].slice(-MAX_UNDO_STEPS))
+
+		if (leaveSession) {
+			const nextSession = skipCurrentCard(session)
+			setSession(nextSession)
 			setShowAnswer(false)
-			setPracticeStats({
-				correct: 0,
-				incorrect: 0,
-				remaining: deckData.cards.length
-			})
-		} else {
-			// Return to home
-			navigate('/')
+			if (!nextSession.current && sessionAnswers.length > 0) {
+				const updatedCards = deckData.cards.map(c => isItemOfCard(c, updatedCard) ? updatedCard : c)
+				handlePracticeComplete(updatedCards, sessionAnswers, studyDecks[card.deckId].deck, new Date())
+			}
 		}
 	}
 
+	const handleSuspendCard = () => {
+		const card = getStoredCard(getCurrentItem())
+		updateCurrentCard(setCardSuspended(card, true), true)
+	}
+
+	const handleBuryCard = () => {
+		const card = getStoredCard(getCurrentItem())
+		updateCurrentCard(buryCard(card), true)
+	}
+
+	const handleFlagCard = (flag) => {
+		const card = getStoredCard(getCurrentItem())
+		updateCurrentCard(toggleCardFlag(card, flag), false)
+	}
+
+	const handleUndo = () => {
+		if (undoStack.length === 0) return
+
+		const lastAnswer = undoStack[undoStack.length - 1]
+		const cardDeckId = lastAnswer.card.deckId
+		setUndoStack(undoStack.slice(0, -1))
+		setDeckData(prev => ({
+			...prev,
+			cards: prev.cards.map(c => isItemOfCard(c, lastAnswer.card) ? lastAnswer.card : c)
+		}))
+		updateStudyDeck(cardDeckId, { studyDay: lastAnswer.studyDay })
+		setSession(lastAnswer.session)
+		setSessionAnswers(lastAnswer.sessionAnswers)
+		setShowAnswer(false)
+		setLeechNotice(null)
+
+		// Put back the stored card state and forget the answer
+		putCards(lastAnswer.card).catch(error => {
+			console.error('Error restoring card schedule:', error)
+		})
+		restoreDeckStudyDay(cardDeckId, lastAnswer.studyDay).catch(error => {
+			console.error('Error restoring study counters:', error)
+		})
+		lastAnswer.reviewLogId
+			.then(id => id !== null && removeReview(id))
+			.catch(error => {
+				console.error('Error removing review log entry:', error)
+			})
+	}
+
+	// Shows the summary of a finished session, counting the answer that finished it
+	const handlePracticeComplete = (updatedCards, answers, studiedDeck, now) => {
+		// Custom study sessions are built once; decks may have more cards ready
+		const nextQueue = deckId
+			? buildDeckStudyQueue(studiedDeck, updatedCards, { preset: studyDecks[deckId].preset })
+			: []
+		setSummary({
+			...summarizeSession(answers, sessionStartedAt, now.getTime()),
+			nextQueue
+		})
+	}
+
+	// Continues the session that was saved before the page was reloaded
+	const handleResumeSession = () => {
+		setSession(savedProgress.session)
+		setSessionAnswers(savedProgress.answers)
+		setSessionStartedAt(savedProgress.startedAt)
+		setIsRestudy(savedProgress.restudy)
+		setShowAnswer(false)
+		setUndoStack([])
+		setSummary(null)
+		setSavedProgress(null)
+	}
+
+	// Goes over cards of the finished session again in cram mode
+	const handleRestudy = (keys) => {
+		startSession(keys.map(key => findStudyItem(deckData.cards, key)).filter(Boolean), true)
+	}
+
+	const handleTypeAnswerSettingChange = (changes) => {
+		const settings = { ...typeAnswerSettings, ...changes }
+		setTypeAnswerSettings(settings)
+		setSetting(TYPE_ANSWER_SETTING, settings).catch(error => {
+			console.error('Error saving typed answer settings:', error)
+		})
+	}
+
+	const handleSubmitTypedAnswer = (event) => {
+		if (event.key !== 'Enter') return
+		event.preventDefault()
+		// Hand the keyboard back to the grade shortcuts
+		event.target.blur()
+		handleToggleAnswer()
+	}
+
 	const handleToggleSound = () => {
 		const newMuteState = toggleMute()
 		setIsMuted(newMuteState)
@@ -166,7 +512,9 @@ export default function PracticePage() {
 		return (
 			<div className="min-h-screen bg-gray-50 flex items-center justify-center">
 				<div className="text-center">
-					<p className="text-gray-600 mb-4">Deck not found</p>
+					<p className="text-gray-600 mb-4">
+						{deckId ? 'Deck not found' : 'Start a custom study session from the home page'}
+					</p>
 					<button
 						onClick={handleBackToDeck}
 						className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg"
@@ -178,7 +526,92 @@ export default function PracticePage() {
 		)
 	}
 
-	const currentCard = deckData.cards[currentCardIndex]
+	if (savedProgress) {
+		const savedSessionProgress = getSessionProgress(savedProgress.session)
+		return (
+			<div className="min-h-screen bg-gray-50 flex items-center justify-center">
+				<div className="bg-white rounded-lg shadow-sm p-8 text-center max-w-md">
+					<h1 className="text-2xl font-bold text-gray-900 mb-2">{deckData.name}</h1>
+					<p className="text-gray-600 mb-1">
+						You have an unfinished session from {new Date(savedProgress.savedAt).toLocaleTimeString(undefined, { timeStyle: 'short' })}.
+					</p>
+					<p className="text-gray-500 text-sm mb-6">
+						{savedSessionProgress.answered} answered, {savedSessionProgress.remaining} remaining
+					</p>
+					<div className="flex justify-center gap-3">
+						<button
+							onClick={handleResumeSession}
+							className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg"
+						>
+							Resume Session
+						</button>
+						<button
+							onClick={() => setSavedProgress(null)}
+							className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium border border-gray-300 rounded-lg hover:bg-gray-50"
+						>
+							Start Over
+						</button>
+					</div>
+				</div>
+			</div>
+		)
+	}
+
+	if (summary) {
+		return (
+			<SessionSummary
+				deckName={deckData.name}
+				summary={summary}
+				gradeStats={GRADE_BUTTONS.map(({ grade, label }) => ({ label, count: summary.gradeCounts[grade] }))}
+				missedCards={summary.missedKeys
+					.map(key => ({ key, item: findStudyItem(deckData.cards, key) }))
+					.filter(({ item }) => item)
+					.map(({ key, item }) => ({ key, question: getQuestion(item), answer: getAnswer(item) }))}
+				nextQueueCount={summary.nextQueue.length}
+				onRestudyMissed={() => handleRestudy(summary.missedKeys)}
+				onStudyAgain={() => handleRestudy(summary.studiedKeys)}
+				onContinue={() => startSession(summary.nextQueue, false)}
+				onBackToLibrary={handleBackToDeck}
+			/>
+		)
+	}
+
+	if (!session?.current) {
+		const nextDueDate = getNextDueDate(deckData.cards)
+		return (
+			<div className="min-h-screen bg-gray-50 flex items-center justify-center">
+				<div className="text-center">
+					<h1 className="text-2xl font-bold text-gray-900 mb-2">{deckData.name}</h1>
+					<p className="text-gray-600 mb-1">
+						{customStudy
+							? 'No cards match these custom study filters.'
+							: 'Congratulations! You have finished this deck for now.'}
+					</p>
+					{!customStudy && nextDueDate && (
+						<p className="text-gray-500 text-sm mb-4">
+							Next review: {nextDueDate.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}
+						</p>
+					)}
+					<button
+						onClick={handleBackToDeck}
+						className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg mt-2"
+					>
+						Back to Home
+					</button>
+				</div>
+			</div>
+		)
+	}
+
+	const currentItem = getCurrentItem()
+	const currentState = getCardState(currentItem)
+	const currentFlag = getCardFlag(currentItem)
+	const currentDeck = studyDecks[currentItem.deckId]
+	// Cards imported from {{type:Field}} templates always ask for a typed answer
+	const isTypingAnswer = typeAnswerSettings.enabled || !!currentItem.typeAnswer
+	const intervalPreviews = previewIntervals(currentState, new Date(), getSchedulerOptions(currentDeck.deck, currentDeck.preset))
+	const progress = getSessionProgress(session)
+	const gradeCounts = countGrades(sessionAnswers)
 
 	return (
 		<div className="min-h-screen bg-gray-50">
@@ -188,7 +621,29 @@ export default function PracticePage() {
 					<div>
 						<h1 className="text-2xl font-bold text-gray-900">{deckData.name}</h1>
 						<p className="text-gray-600">
-							Card {currentCardIndex + 1} of {deckData.cards.length}
+							Card {progress.answered + 1} of {progress.total}
+							<span className={`ml-2 text-xs px-2 py-1 rounded-full ${STATE_LABELS[currentState.state].className}`}>
+								{STATE_LABELS[currentState.state].text}
+							</span>
+							{currentItem.direction === DIRECTIONS.REVERSE && (
+								<span className="ml-2 text-xs px-2 py-1 rounded-full bg-gray-100 text-gray-700">
+									Back → Front
+								</span>
+							)}
+							{isCramMode && (
+								<span
+									className="ml-2 text-xs px-2 py-1 rounded-full bg-purple-100 text-purple-700"
+									title="Answers don't change when cards are due"
+								>
+									Cram
+								</span>
+							)}
+							{currentFlag && (
+								<span className="ml-2 inline-flex items-center gap-1 text-xs text-gray-600">
+									<span className={`inline-block w-3 h-3 rounded-full ${currentFlag.className}`}></span>
+									{currentFlag.name} flag
+								</span>
+							)}
 						</p>
 					</div>
 					<div className="flex items-center gap-4">
@@ -237,9 +692,10 @@ export default function PracticePage() {
 				{/* Progress Bar */}
 				<div className="bg-white rounded-lg shadow-sm p-4 mb-6">
 					<div className="flex justify-between text-sm text-gray-600 mb-2">
-						<span>Correct: {practiceStats.correct}</span>
-						<span>Incorrect: {practiceStats.incorrect}</span>
-						<span>Remaining: {deckData.cards.length - practiceStats.correct - practiceStats.incorrect}</span>
+						{GRADE_BUTTONS.map(({ grade, label }) => (
+							<span key={grade}>{label}: {gradeCounts[grade]}</span>
+						))}
+						<span>Remaining: {progress.remaining}</span>
 					</div>
 					
 					{/* SVG Progress Bar */}
@@ -258,7 +714,7 @@ export default function PracticePage() {
 							<rect 
 								x="0" 
 								y="0" 
-								width={((practiceStats.correct + practiceStats.incorrect) / deckData.cards.length) * 100} 
+								width={(progress.answered / progress.total) * 100} 
 								height="3" 
 								fill={progressColor} 
 								rx="1.5"
@@ -268,8 +724,61 @@ export default function PracticePage() {
 					</div>
 				</div>
 
+				{leechNotice && (
+					<div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg px-4 py-3 mb-6 flex items-center justify-between" role="status">
+						<span>{leechNotice}</span>
+						<button
+							onClick={() => setLeechNotice(null)}
+							className="text-yellow-700 hover:text-yellow-900 font-medium"
+							aria-label="Dismiss"
+						>
+							×
+						</button>
+					</div>
+				)}
+
 				{/* Main Practice Area */}
 				<div className="bg-white rounded-lg shadow-sm p-8">
+					{/* Typed answer options */}
+					<div className="flex flex-wrap gap-4 justify-end text-sm text-gray-600 mb-4">
+						<label className="flex items-center gap-1">
+							<input
+								type="checkbox"
+								checked={typeAnswerSettings.enabled}
+								onChange={(e) => handleTypeAnswerSettingChange({ enabled: e.target.checked })}
+							/>
+							Type answer
+						</label>
+						{isTypingAnswer && (
+							<>
+								<label className="flex items-center gap-1">
+									<input
+										type="checkbox"
+										checked={typeAnswerSettings.ignoreCase}
+										onChange={(e) => handleTypeAnswerSettingChange({ ignoreCase: e.target.checked })}
+									/>
+									Ignore case
+								</label>
+								<label className="flex items-center gap-1">
+									<input
+										type="checkbox"
+										checked={typeAnswerSettings.ignoreAccents}
+										onChange={(e) => handleTypeAnswerSettingChange({ ignoreAccents: e.target.checked })}
+									/>
+									Ignore accents
+								</label>
+								<label className="flex items-center gap-1">
+									<input
+										type="checkbox"
+										checked={typeAnswerSettings.ignoreWhitespace}
+										onChange={(e) => handleTypeAnswerSettingChange({ ignoreWhitespace: e.target.checked })}
+									/>
+									Ignore extra spaces
+								</label>
+							</>
+						)}
+					</div>
+
 					<div className="text-center">
 						{/* Card Display Area with Flip Animation */}
 						<div className="relative perspective-1000 mb-6">
@@ -288,7 +797,7 @@ export default function PracticePage() {
 										onClick={handleToggleAnswer}
 									>
 										<div className="text-xl text-gray-700 whitespace-pre-wrap">
-											{currentCard.front}
+											<CardContent text={getQuestion(currentItem)} mediaUrls={mediaUrls[currentItem.deckId]} />
 										</div>
 									</div>
 								</div>
@@ -303,15 +812,40 @@ export default function PracticePage() {
 										onClick={handleToggleAnswer}
 									>
 										<div className="text-xl text-gray-700 whitespace-pre-wrap">
-											{currentCard.back}
+											<CardContent text={getAnswer(currentItem)} mediaUrls={mediaUrls[currentItem.deckId]} />
 										</div>
 									</div>
 								</div>
 							</div>
 						</div>
 
+						{/* Typed answer, compared with the expected answer once shown */}
+						{isTypingAnswer && (
+							<div className="mb-6">
+								{showAnswer ? (
+									<p className="text-lg font-mono whitespace-pre-wrap" aria-label="Typed answer comparison">
+										{diffAnswer(typedAnswer, getExpectedAnswer(currentItem), typeAnswerSettings).map((segment, index) => (
+											<span key={index} className={DIFF_CLASSES[segment.type]}>{segment.text}</span>
+										))}
+									</p>
+								) : (
+									<input
+										key={session.current}
+										type="text"
+										value={typedAnswer}
+										onChange={(e) => setTypedAnswer(e.target.value)}
+										onKeyDown={handleSubmitTypedAnswer}
+										className="w-full max-w-md border border-gray-300 rounded-lg px-3 py-2 text-lg"
+										placeholder="Type the answer and press Enter"
+										aria-label="Your answer"
+										autoFocus
+									/>
+								)}
+							</div>
+						)}
+
 						{/* Action Buttons */}
-						<div className="flex gap-4 justify-center">
+						<div className="flex flex-wrap gap-4 justify-center items-center">
 							<button 
 								onClick={handleToggleAnswer}
 								className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg"
@@ -319,23 +853,65 @@ export default function PracticePage() {
 								{showAnswer ? 'Show Question (Space)' : 'Show Answer (Space)'}
 							</button>
 
+							<button
+								onClick={handleUndo}
+								disabled={undoStack.length === 0}
+								className="py-3 px-4 text-gray-600 hover:text-gray-800 font-medium border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+								title="Undo last answer"
+							>
+								Undo (Ctrl+Z)
+							</button>
+
 							{showAnswer && (
-								<div className="flex gap-4">
-									<button 
-										onClick={() => handleNextCard(false)}
-										className="bg-red-600 hover:bg-red-700 text-white font-semibold py-3 px-6 rounded-lg"
-									>
-										Incorrect (←)
-									</button>
-									<button 
-										onClick={() => handleNextCard(true)}
-										className="bg-green-600 hover:bg-green-700 text-white font-semibold py-3 px-6 rounded-lg"
-									>
-										Correct (→)
-									</button>
+								<div className="flex flex-wrap gap-2 justify-center">
+									{GRADE_BUTTONS.map(({ grade, label, className }) => (
+										<button
+											key={grade}
+											onClick={() => handleAnswer(grade)}
+											className={`${className} text-white font-semibold py-2 px-5 rounded-lg flex flex-col items-center`}
+										>
+											<span>{label} ({grade})</span>
+											{!isCramMode && (
+												<span className="text-xs font-normal opacity-90">
+													{formatInterval(intervalPreviews[grade])}
+												</span>
+											)}
+										</button>
+									))}
 								</div>
 							)}
 						</div>
+
+						{/* Card actions */}
+						<div className="flex flex-wrap gap-3 justify-center items-center mt-6 text-sm">
+							<div className="flex items-center gap-1" title="Flag card (Shift+1-7)">
+								{FLAGS.map(flag => (
+									<button
+										key={flag.value}
+										onClick={() => handleFlagCard(flag.value)}
+										className={`w-5 h-5 rounded-full ${flag.className} ${
+											currentItem.flag === flag.value ? 'ring-2 ring-offset-1 ring-gray-700' : 'opacity-60 hover:opacity-100'
+										}`}
+										aria-label={`${flag.name} flag`}
+										title={`${flag.name} flag (Shift+${flag.value})`}
+									/>
+								))}
+							</div>
+							<button
+								onClick={handleBuryCard}
+								className="px-3 py-1 text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50"
+								title="Hide this card until tomorrow"
+							>
+								Bury (B)
+							</button>
+							<button
+								onClick={handleSuspendCard}
+								className="px-3 py-1 text-gray-600 hover:text-gray-800 border border-gray-300 rounded-lg hover:bg-gray-50"
+								title="Hide this card until it is unsuspended in the deck editor"
+							>
+								Suspend (S)
+							</button>
+						</div>
 					</div>
 				</div>
 			</div>
@@ -0,0 +1,278 @@
+import { useParams, useNavigate } from 'react-router-dom'
+import { useState, useEffect, useCallback } from 'react'
+import { playSound } from '../utils/soundEffects'
+import { loadDeck } from '../utils/deckLibrary'
+import {
+    DEFAULT_OPTION_COUNT,
+    MIN_OPTION_COUNT,
+    MAX_OPTION_COUNT,
+    buildQuizQuestions,
+    countDistinctAnswers
+} from '../utils/quizGenerator'
+
+export default function QuizPage() {
+    const { deckId } = useParams()
+    const navigate = useNavigate()
+    const [loading, setLoading] = useState(true)
+    const [deckData, setDeckData] = useState(null)
+    const [optionCount, setOptionCount] = useState(DEFAULT_OPTION_COUNT)
+    const [questions, setQuestions] = useState(null)
+    const [questionIndex, setQuestionIndex] = useState(0)
+    const [selectedOption, setSelectedOption] = useState(null)
+    const [results, setResults] = useState([])
+
+    useEffect(() => {
+        const loadDeckData = async () => {
+            try {
+                setLoading(true)
+                const deck = await loadDeck(deckId)
+                if (!deck) {
+                    console.error('Deck not found in storage:', deckId)
+                }
+                setDeckData(deck)
+            } catch (error) {
+                console.error('Error loading deck:', error)
+                setDeckData(null)
+            } finally {
+                setLoading(false)
+            }
+        }
+
+        loadDeckData()
+    }, [deckId])
+
+    const handleSelectOption = useCallback((option) => {
+        const question = questions[questionIndex]
+        const isCorrect = option === question.answer
+        playSound(isCorrect ? 'correct' : 'incorrect')
+        setSelectedOption(option)
+        setResults(prev => [...prev, { ...question, chosen: option, isCorrect }])
+    }, [questions, questionIndex])
+
+    // Number keys pick an option, Enter moves to the next question
+    useEffect(() => {
+        const handleKeyPress = (event) => {
+            if (!questions || questionIndex >= questions.length) return
+            const question = questions[questionIndex]
+
+            if (selectedOption === null && /^(Digit|Numpad)[1-9]$/.test(event.code)) {
+                const option = question.options[Number(event.code.slice(-1)) - 1]
+                if (option !== undefined) handleSelectOption(option)
+            } else if (selectedOption !== null && event.code === 'Enter') {
+                event.preventDefault()
+                handleNextQuestion()
+            }
+        }
+
+        window.addEventListener('keydown', handleKeyPress)
+        return () => window.removeEventListener('keydown', handleKeyPress)
+    }, [questions, questionIndex, selectedOption, handleSelectOption])
+
+    const handleStartQuiz = () => {
+        setQuestions(buildQuizQuestions(deckData.cards, optionCount))
+        setQuestionIndex(0)
+        setSelectedOption(null)
+        setResults([])
+    }
+
+    const handleNextQuestion = () => {
+        setSelectedOption(null)
+        setQuestionIndex(prev => prev + 1)
+    }
+
+    if (loading) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="text-center">
+                    <div className="animate-spin rounded-full h-8 w-8 border-2 border-blue-600 border-t-transparent mx-auto mb-4"></div>
+                    <p className="text-gray-600">Loading deck...</p>
+                </div>
+            </div>
+        )
+    }
+
+    if (!deckData) {
+        return (
+            <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+                <div className="text-center">
+                    <p className="text-gray-600 mb-4">Deck not found</p>
+                    <button
+                        onClick={() => navigate('/')}
+                        className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg"
+                    >
+                        Back to Home
+                    </button>
+                </div>
+            </div>
+        )
+    }
+
+    const distinctAnswers = countDistinctAnswers(deckData.cards)
+    const maxOptions = Math.min(MAX_OPTION_COUNT, distinctAnswers)
+
+    // Setup screen
+    if (!questions) {
+        return (
+            <div className="min-h-screen bg-gray-50">
+                <div className="container mx-auto px-4 py-6 max-w-2xl">
+                    <div className="bg-white rounded-lg shadow-sm p-8 text-center">
+                        <h1 className="text-2xl font-bold text-gray-900 mb-2">Quiz: {deckData.name}</h1>
+                        {maxOptions < MIN_OPTION_COUNT ? (
+                            <p className="text-gray-600 mb-6">
+                                This deck needs at least {MIN_OPTION_COUNT} different answers to make a quiz.
+                            </p>
+                        ) : (
+                            <>
+                                <p className="text-gray-600 mb-6">
+                                    {deckData.cards.length} questions, answered by picking the back of each card.
+                                </p>
+                                <label className="inline-flex items-center gap-2 text-gray-700 mb-6">
+                                    Options per question
+                                    <select
+                                        value={Math.min(optionCount, maxOptions)}
+                                        onChange={(e) => setOptionCount(Number(e.target.value))}
+                                        className="border border-gray-300 rounded px-2 py-1"
+                                    >
+                                        {Array.from({ length: maxOptions - MIN_OPTION_COUNT + 1 }, (_, i) => MIN_OPTION_COUNT + i).map(count => (
+                                            <option key={count} value={count}>{count}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <div>
+                                    <button
+                                        onClick={handleStartQuiz}
+                                        className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg"
+                                    >
+                                        Start Quiz
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                        <button
+                            onClick={() => navigate('/')}
+                            className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium mt-4"
+                        >
+                            ← Back to Home
+                        </button>
+                    </div>
+                </div>
+            </div>
+        )
+    }
+
+    // Score screen
+    if (questionIndex >= questions.length) {
+        const score = results.filter(result => result.isCorrect).length
+        const missed = results.filter(result => !result.isCorrect)
+
+        return (
+            <div className="min-h-screen bg-gray-50">
+                <div className="container mx-auto px-4 py-6 max-w-2xl">
+                    <div className="bg-white rounded-lg shadow-sm p-8">
+                        <div className="text-center mb-6">
+                            <h1 className="text-2xl font-bold text-gray-900 mb-2">Quiz complete!</h1>
+                            <p className="text-4xl font-bold text-blue-600">
+                                {score} / {results.length}
+                            </p>
+                            <p className="text-gray-600">
+                                {results.length > 0 ? Math.round((score / results.length) * 100) : 0}% correct
+                            </p>
+                        </div>
+
+                        {missed.length > 0 && (
+                            <div className="mb-6">
+                                <h2 className="text-lg font-semibold text-gray-900 mb-2">Review these</h2>
+                                <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                                    {missed.map(result => (
+                                        <li key={result.cardId} className="p-3 text-sm">
+                                            <p className="font-medium text-gray-900 whitespace-pre-wrap">{result.question}</p>
+                                            <p className="text-red-600 line-through whitespace-pre-wrap">{result.chosen}</p>
+                                            <p className="text-green-700 whitespace-pre-wrap">{result.answer}</p>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        <div className="flex justify-center gap-3">
+                            <button
+                                onClick={handleStartQuiz}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg"
+                            >
+                                Try Again
+                            </button>
+                            <button
+                                onClick={() => navigate('/')}
+                                className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+                            >
+                                Back to Home
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        )
+    }
+
+    const question = questions[questionIndex]
+    const optionClassName = (option) => {
+        if (selectedOption === null) return 'border-gray-300 hover:bg-blue-50 hover:border-blue-400'
+        if (option === question.answer) return 'border-green-500 bg-green-50 text-green-800'
+        if (option === selectedOption) return 'border-red-500 bg-red-50 text-red-800'
+        return 'border-gray-200 text-gray-400'
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50">
+            <div className="container mx-auto px-4 py-6 max-w-2xl">
+                <div className="flex items-center justify-between mb-6">
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-900">Quiz: {deckData.name}</h1>
+                        <p className="text-gray-600">
+                            Question {questionIndex + 1} of {questions.length}
+                            <span className="ml-4">Score: {results.filter(result => result.isCorrect).length}</span>
+                        </p>
+                    </div>
+                    <button
+                        onClick={() => navigate('/')}
+                        className="px-4 py-2 text-gray-600 hover:text-gray-800 font-medium"
+                    >
+                        ← Back to Home
+                    </button>
+                </div>
+
+                <div className="bg-white rounded-lg shadow-sm p-8">
+                    <div className="bg-gray-50 rounded-lg p-8 mb-6 text-center text-xl text-gray-700 whitespace-pre-wrap">
+                        {question.question}
+                    </div>
+
+                    <ol className="space-y-3">
+                        {question.options.map((option, index) => (
+                            <li key={option}>
+                                <button
+                                    onClick={() => handleSelectOption(option)}
+                                    disabled={selectedOption !== null}
+                                    className={`w-full text-left border-2 rounded-lg px-4 py-3 whitespace-pre-wrap transition-colors ${optionClassName(option)}`}
+                                >
+                                    <span className="font-semibold mr-2">{index + 1}.</span>
+                                    {option}
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+
+                    {selectedOption !== null && (
+                        <div className="text-center mt-6">
+                            <button
+                                onClick={handleNextQuestion}
+                                className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-6 rounded-lg"
+                            >
+                                {questionIndex + 1 < questions.length ? 'Next Question (Enter)' : 'See Score (Enter)'}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -1,3 +1,6 @@
+import { getRetrievability } from './fsrs';
+import { toStudyItems } from './cardDirections';
+
 // OOP Demo: DeckStats class
 export class DeckStats {
   constructor(deck) {
@@ -13,4 +16,26 @@ export class DeckStats {
     const total = this.deck.cards.reduce((sum, c) => sum + c.front.length + c.back.length, 0);
     return Math.round(total / this.deck.cards.length);
   }
-} 
\ No newline at end of file
+
+  // Stability, difficulty and current retrievability of every studied card,
+  // per direction the deck is practiced in
+  memoryStates(now = new Date()) {
+    return toStudyItems(this.deck.cards, this.deck.direction)
+      .filter(item => item.srs && item.srs.stability)
+      .map(item => ({
+        cardId: item.id,
+        direction: item.direction,
+        stability: item.srs.stability,
+        difficulty: item.srs.difficulty,
+        retrievability: getRetrievability(item.srs, now)
+      }));
+  }
+
+  // Average probability of recalling a studied card right now, or null.
+  // Cards without a last review date have no retrievability and are skipped.
+  predictedRecall(now = new Date()) {
+    const states = this.memoryStates(now).filter(s => s.retrievability !== null);
+    if (!states.length) return null;
+    return states.reduce((sum, s) => sum + s.retrievability, 0) / states.length;
+  }
+}
@@ -0,0 +1,208 @@
+// Choices made while importing an Anki collection: which (sub)decks to bring
+// in, and which fields or templates of each note type become front and back
+
+// Each card uses its own template, as in Anki
+export const CARD_TEMPLATE_SOURCE = 'card'
+
+const DECK_SEPARATOR = '::'
+
+/**
+ * Deck a card belongs to. Cards moved into a filtered deck count for their
+ * original deck.
+ * @param {Object} card - Card from parseCards
+ * @returns {number} Anki deck ID
+ */
+export function getCardDeckId(card) {
+    return card.originalDeckId || card.deckId
+}
+
+/**
+ * Builds the collection's deck tree from the "Parent::Child" deck names.
+ * Decks without notes, directly or in a subdeck, are left out.
+ * @param {Object} collection - Collection from readAnkiPackage
+ * @returns {Array} Root nodes { id, name, fullName, noteCount, totalNoteCount, children };
+ *   id is null for a parent that only exists through its subdecks' names
+ */
+export function getDeckTree(collection) {
+    const notesByDeck = {}
+    collection.cards.forEach(card => {
+        const deckId = getCardDeckId(card)
+        notesByDeck[deckId] = notesByDeck[deckId] || new Set()
+        notesByDeck[deckId].add(card.noteId)
+    })
+
+    const nodes = new Map()
+    const getNode = (fullName) => {
+        if (!nodes.has(fullName)) {
+            const separatorIndex = fullName.lastIndexOf(DECK_SEPARATOR)
+            const node = {
+                id: null,
+                name: separatorIndex === -1 ? fullName : fullName.slice(separatorIndex + DECK_SEPARATOR.length),
+                fullName,
+                notes: new Set(),
+                children: []
+            }
+            nodes.set(fullName, node)
+            if (separatorIndex !== -1) {
+                getNode(fullName.slice(0, separatorIndex)).children.push(node)
+            }
+        }
+        return nodes.get(fullName)
+    }
+
+    Object.keys(notesByDeck).forEach(deckId => {
+        const name = collection.deckInfo.decks[deckId]?.name || `Deck ${deckId}`
+        const node = getNode(name)
+        node.id = Number(deckId)
+        node.notes = notesByDeck[deckId]
+    })
+
+    // Notes can have cards in several subdecks, so totals count distinct notes
+    const subtreeNotes = (node) => new Set([...node.notes, ...node.children.flatMap(child => [...subtreeNotes(child)])])
+    const finish = (node) => ({
+        id: node.id,
+        name: node.name,
+        fullName: node.fullName,
+        noteCount: node.notes.size,
+        totalNoteCount: subtreeNotes(node).size,
+        children: node.children
+            .map(finish)
+            .sort((a, b) => a.name.localeCompare(b.name))
+    })
+
+    return [...nodes.values()]
+        .filter(node => !node.fullName.includes(DECK_SEPARATOR))
+        .map(finish)
+        .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+/**
+ * Lists the IDs of a deck and all its subdecks
+ * @param {Object} node - Node from getDeckTree
+ * @returns {Array<number>} Anki deck IDs
+ */
+export function getSubtreeDeckIds(node) {
+    return [
+        ...(node.id !== null ? [node.id] : []),
+        ...node.children.flatMap(getSubtreeDeckIds)
+    ]
+}
+
+/**
+ * Finds the note types used by the notes of the chosen decks
+ * @param {Object} collection - Collection from readAnkiPackage
+ * @param {Array<number>} deckIds - Chosen Anki deck IDs
+ * @returns {Array<{noteType: Object, noteCount: number}>}
+ */
+export function getNoteTypesInDecks(collection, deckIds) {
+    const chosenDecks = new Set(deckIds)
+    const notesById = new Map(collection.notes.map(note => [note.id, note]))
+    const notesByType = {}
+
+    collection.cards
+        .filter(card => chosenDecks.has(getCardDeckId(card)))
+        .forEach(card => {
+            const modelId = notesById.get(card.noteId)?.modelId
+            if (!collection.noteTypes.models[modelId]) return
+            notesByType[modelId] = notesByType[modelId] || new Set()
+            notesByType[modelId].add(card.noteId)
+        })
+
+    return Object.entries(notesByType).map(([modelId, notes]) => ({
+        noteType: collection.noteTypes.models[modelId],
+        noteCount: notes.size
+    }))
+}
+
+/**
+ * Lists what a card side can be made from: each card's own template, one
+ * chosen template, or a single field
+ * @param {Object} noteType - Note type from parseNoteTypes
+ * @param {string} side - 'front' or 'back'
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function getMappingSources(noteType, side) {
+    const templateSide = side === 'front' ? 'question' : 'answer'
+    return [
+        { value: CARD_TEMPLATE_SOURCE, label: `Each card's template (${templateSide})` },
+        ...noteType.templates.map((template, index) => ({
+            value: `template:${index}`,
+            label: `Template "${template.name}" (${templateSide})`
+        })),
+        ...noteType.fields.map((field, index) => ({
+            value: `field:${index}`,
+            label: `Field "${field}"`
+        }))
+    ]
+}
+
+/**
+ * The mapping that imports every card as Anki shows it
+ * @returns {{front: string, back: string}}
+ */
+export function getDefaultFieldMapping() {
+    return { front: CARD_TEMPLATE_SOURCE, back: CARD_TEMPLATE_SOURCE }
+}
+
+/**
+ * Writes the template text for one side of a mapped note type
+ * @param {string} source - Value from getMappingSources
+ * @param {Object} noteType - Note type from parseNoteTypes
+ * @param {Object} template - The card's own template
+ * @param {string} side - 'front' or 'back'
+ * @returns {string} Anki template text
+ */
+function getSideTemplate(source, noteType, template, side) {
+    const [kind, index] = source.split(':')
+    if (kind === 'field') return `{{${noteType.fields[index]}}}`
+    if (kind === 'template') return noteType.templates[index][side]
+    return template[side]
+}
+
+/**
+ * Applies the chosen decks and field mappings to a collection. Each note type
+ * gets templates that render the chosen sides, and only the cards of the
+ * chosen decks are kept: every card when the front follows each card's
+ * template, the cards of one template, or one card per note when the front
+ * is a field.
+ * @param {Object} collection - Collection from readAnkiPackage
+ * @param {Object} options - { deckIds, fieldMappings } where fieldMappings
+ *   holds a { front, back } mapping by note type ID
+ * @returns {{cards: Array, noteTypes: Object}} Cards and note types for getCardPreviews
+ */
+export function applyImportOptions(collection, { deckIds, fieldMappings }) {
+    const chosenDecks = new Set(deckIds)
+    const notesById = new Map(collection.notes.map(note => [note.id, note]))
+    const mappingFor = (modelId) => fieldMappings[modelId] || getDefaultFieldMapping()
+
+    const models = {}
+    Object.values(collection.noteTypes.models).forEach(noteType => {
+        const mapping = mappingFor(noteType.id)
+        models[noteType.id] = {
+            ...noteType,
+            templates: noteType.templates.map(template => ({
+                ...template,
+                front: getSideTemplate(mapping.front, noteType, template, 'front'),
+                back: getSideTemplate(mapping.back, noteType, template, 'back')
+            }))
+        }
+    })
+
+    const notesWithCard = new Set()
+    const cards = collection.cards.filter(card => {
+        if (!chosenDecks.has(getCardDeckId(card))) return false
+
+        const noteType = collection.noteTypes.models[notesById.get(card.noteId)?.modelId]
+        const [kind, index] = mappingFor(noteType?.id).front.split(':')
+        // Every card of a cloze note shares its one template
+        if (kind === 'template') return !!noteType?.isCloze || card.templateIndex === Number(index)
+        if (kind === 'field') {
+            // Cards are sorted by note and template, so this keeps each note's first card
+            if (notesWithCard.has(card.noteId)) return false
+            notesWithCard.add(card.noteId)
+        }
+        return true
+    })
+
+    return { cards, noteTypes: { ...collection.noteTypes, models } }
+}
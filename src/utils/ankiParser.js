@@ -77,81 +77,115 @@ function detectMediaReferences(content) {
     return mediaFound
 }
 
+// Anki note type kinds (the type key of a model)
+const MODEL_TYPES = { STANDARD: 0, CLOZE: 1 }
+
+// Matches {{c1::text}} and {{c1::text::hint}} in a cloze field
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g
+// Matches conditional sections: {{#Field}}...{{/Field}} and {{^Field}}...{{/Field}}
+const SECTION_PATTERN = /\{\{([#^])\s*([^}]+?)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g
+
 /**
- * Enhanced template processing for Anki cards with media detection
+ * Checks whether a field has content, the way Anki decides whether a
+ * conditional section is shown
+ * @param {string} value - Field HTML
+ * @returns {boolean}
  */
-function processAnkiTemplate(template, fields, fieldNames, frontContent = '') {
-    if (!template) return { content: '', mediaFound: [] }
-
-    // DEBUG: Log the inputs
-    console.log('=== TEMPLATE DEBUG ===')
-    console.log('Template:', template)
-    console.log('Fields:', fields)
-    console.log('Field names:', fieldNames)
-    console.log('Front content:', frontContent)
-    console.log('Has FrontSide:', /\{\{FrontSide\}\}/gi.test(template))
+function hasContent(value) {
+    return !!value && value.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim() !== ''
+}
 
-    let processed = template
-    let allMediaFound = []
-
-    // Step 1: Replace field placeholders first
-    fieldNames.forEach((fieldName, index) => {
-        const fieldValue = fields[index] || ''
-
-        // Check for media in field content
-        const fieldMedia = detectMediaReferences(fieldValue)
-        allMediaFound.push(...fieldMedia)
-
-        const placeholder = `{{${fieldName}}}`
-        const escapedPlaceholder = placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-        const regex = new RegExp(escapedPlaceholder, 'gi')
-        
-        const beforeReplace = processed
-        processed = processed.replace(regex, fieldValue)
-        
-        // DEBUG: Log each replacement
-        if (beforeReplace !== processed) {
-            console.log(`Replaced ${placeholder} with "${fieldValue}"`)
-            console.log('Template now:', processed)
-        }
+/**
+ * Renders the cloze deletions of a field for one card. The card's own
+ * deletion is hidden on the question and shown on the answer; the others
+ * show their text.
+ * @param {string} text - Field with {{cN::...}} deletions
+ * @param {number} clozeNumber - Deletion the card asks for
+ * @param {boolean} isAnswer - Rendering the answer side
+ * @returns {string}
+ */
+function renderCloze(text, clozeNumber, isAnswer) {
+    return text.replace(CLOZE_PATTERN, (match, number, answer, hint) => {
+        if (Number(number) !== clozeNumber) return answer
+        if (isAnswer) return `<b>${answer}</b>`
+        return `[${hint || '...'}]`
     })
+}
 
-    // Step 2: Replace {{FrontSide}} with actual front content
-    if (frontContent) {
-        const beforeFrontSide = processed
-        processed = processed.replace(/\{\{FrontSide\}\}/gi, frontContent)
-        
-        // DEBUG: Log FrontSide replacement
-        if (beforeFrontSide !== processed) {
-            console.log(`Replaced {{FrontSide}} with "${frontContent}"`)
-            console.log('Final template:', processed)
-        }
+/**
+ * Renders one side of a card from its Anki template. Handles field
+ * replacements, conditional sections, the text:, hint:, type: and cloze:
+ * filters, and the Tags, Deck, Subdeck, Type, Card and FrontSide special fields.
+ * @param {string} template - Question or answer template
+ * @param {Object} context - { fields, fieldNames, isAnswer, frontContent,
+ *   clozeNumber, tags, deckName, noteTypeName, cardName }
+ * @returns {{content: string, mediaFound: Array, typeAnswerField: string|null}}
+ */
+function processAnkiTemplate(template, context) {
+    if (!template) return { content: '', mediaFound: [], typeAnswerField: null }
+
+    const { fields, fieldNames, isAnswer = false, frontContent = '', clozeNumber = 1 } = context
+    const deckName = context.deckName || ''
+    const fieldValue = (name) => {
+        const index = fieldNames.indexOf(name)
+        return index === -1 ? '' : fields[index] || ''
+    }
+    const specialFields = {
+        FrontSide: isAnswer ? frontContent : '',
+        Tags: (context.tags || []).join(' '),
+        Deck: deckName,
+        Subdeck: deckName.split('::').pop(),
+        Type: context.noteTypeName || '',
+        Card: context.cardName || ''
     }
 
-    // Step 3: Check for media in the processed template
-    const templateMedia = detectMediaReferences(processed)
-    allMediaFound.push(...templateMedia)
-
-    // Step 4: Handle cloze deletions (text only)
-    processed = processed.replace(/\{\{c(\d+)::(.*?)(?:::(.*?))?\}\}/g, (match, num, text, hint) => {
-        return `<span style="color: blue; font-weight: bold;">[${text}]</span>`
+    // Step 1: Keep or drop conditional sections, innermost first
+    let processed = template
+    let previous
+    do {
+        previous = processed
+        processed = processed.replace(SECTION_PATTERN, (match, kind, name, content) => {
+            const isFilled = hasContent(fieldValue(name))
+            return (kind === '#') === isFilled ? content : ''
+        })
+    } while (processed !== previous)
+
+    // Step 2: Replace fields and special fields, applying their filters from the inside out
+    let typeAnswerField = null
+    processed = processed.replace(/\{\{([^#^/}][^}]*)\}\}/g, (match, tag) => {
+        const parts = tag.split(':').map(part => part.trim())
+        const name = parts.pop()
+        let value = name in specialFields && !fieldNames.includes(name)
+            ? specialFields[name]
+            : fieldValue(name)
+
+        parts.reverse().forEach(filter => {
+            if (filter === 'text') {
+                value = value.replace(/<[^>]*>/g, '')
+            } else if (filter === 'cloze') {
+                value = renderCloze(value, clozeNumber, isAnswer)
+            } else if (filter === 'type') {
+                // Typed answers become an input on the practice screen, and
+                // show the expected answer on the back
+                typeAnswerField = name
+                value = isAnswer ? value : ''
+            }
+            // hint: shows the field as is; filters without a text form
+            // (furigana and the like) leave it unchanged
+        })
+        return value
     })
 
-    // Step 5: Clean up remaining unmatched placeholders
-    processed = processed.replace(/\{\{[^}]+\}\}/g, '<span style="color: red; font-size: 0.8em;">[Missing Field]</span>')
-
-    console.log('=== FINAL RESULT ===')
-    console.log('Processed content:', processed)
-    console.log('========================')
-
     return {
         content: processed,
-        mediaFound: allMediaFound
+        mediaFound: detectMediaReferences(processed),
+        typeAnswerField
     }
 }
 
 /**
- * Parse complete deck information from Anki database with media validation
+ * Parse complete deck information from Anki database. Media references are
+ * left in the card content; the files themselves are read from the package.
  */
 export function parseFullDeck(db) {
     try {
@@ -161,26 +195,17 @@ export function parseFullDeck(db) {
         const cards = parseCards(db)
         const statistics = getDeckStatistics(db)
 
-        // NEW: Check for media content in note types and cards
-        const mediaValidation = validateDeckForMedia(noteTypes, notes, cards)
-
-        if (!mediaValidation.isValid) {
-            return {
-                success: false,
-                error: mediaValidation.error,
-                mediaDetails: mediaValidation.details
-            }
-        }
-
         return {
             success: true,
             deckInfo,
+            collectionCreated: parseCollectionCreated(db),
+            schedulerVersion: parseSchedulerVersion(db),
             noteTypes,
             notes,
             cards,
+            reviewLog: parseReviewLog(db),
             statistics,
-            relationships: buildRelationships(notes, cards),
-            mediaValidation: mediaValidation
+            relationships: buildRelationships(notes, cards)
         }
     } catch (error) {
         console.error('Error parsing deck:', error)
@@ -191,80 +216,6 @@ export function parseFullDeck(db) {
     }
 }
 
-/**
- * Validate deck content for media references
- * @param {Object} noteTypes - Parsed note types
- * @param {Array} notes - Parsed notes
- * @param {Array} cards - Parsed cards  
- * @returns {Object} Validation result
- */
-function validateDeckForMedia(noteTypes, notes, cards) {
-    const mediaIssues = []
-
-    // Check note type templates for media
-    Object.values(noteTypes.models).forEach(model => {
-        model.templates.forEach(template => {
-            // Check front template
-            const frontMedia = detectMediaReferences(template.front)
-            if (frontMedia.length > 0) {
-                mediaIssues.push({
-                    location: `Note type "${model.name}" - Template "${template.name}" (Front)`,
-                    media: frontMedia
-                })
-            }
-
-            // Check back template  
-            const backMedia = detectMediaReferences(template.back)
-            if (backMedia.length > 0) {
-                mediaIssues.push({
-                    location: `Note type "${model.name}" - Template "${template.name}" (Back)`,
-                    media: backMedia
-                })
-            }
-        })
-
-        // Check CSS for media references
-        const cssMedia = detectMediaReferences(model.css)
-        if (cssMedia.length > 0) {
-            mediaIssues.push({
-                location: `Note type "${model.name}" - CSS`,
-                media: cssMedia
-            })
-        }
-    })
-
-    // Check note field content for media
-    notes.forEach((note, noteIndex) => {
-        note.fields.forEach((field, fieldIndex) => {
-            const fieldMedia = detectMediaReferences(field)
-            if (fieldMedia.length > 0) {
-                const model = Object.values(noteTypes.models).find(m => m.id === note.modelId)
-                const fieldName = model?.fields?.[fieldIndex] || `Field ${fieldIndex + 1}`
-
-                mediaIssues.push({
-                    location: `Note ${noteIndex + 1} - ${fieldName}`,
-                    media: fieldMedia
-                })
-            }
-        })
-    })
-
-    if (mediaIssues.length > 0) {
-        const totalMediaReferences = mediaIssues.reduce((sum, issue) => sum + issue.media.length, 0)
-
-        return {
-            isValid: false,
-            error: `Deck contains ${totalMediaReferences} media reference(s) in ${mediaIssues.length} location(s). Only text-only content is supported.`,
-            details: mediaIssues
-        }
-    }
-
-    return {
-        isValid: true,
-        details: []
-    }
-}
-
 /**
  * Extract deck metadata from col table
  */
@@ -309,6 +260,34 @@ export function parseDeckInfo(db) {
     }
 }
 
+/**
+ * Read when the collection was created; review due dates count days from it
+ */
+export function parseCollectionCreated(db) {
+    try {
+        const colData = executeQuery(db, "SELECT crt FROM col")
+        return colData.length && colData[0].crt ? new Date(colData[0].crt * 1000) : null
+    } catch (error) {
+        console.error('Error parsing collection creation time:', error)
+        return null
+    }
+}
+
+/**
+ * Read which scheduler the collection was studied with. Collections that
+ * never switched to the v2 scheduler have no version set and use v1.
+ */
+export function parseSchedulerVersion(db) {
+    try {
+        const colData = executeQuery(db, "SELECT conf FROM col")
+        const conf = colData.length && colData[0].conf ? JSON.parse(colData[0].conf) : {}
+        return conf.schedVer || 1
+    } catch (error) {
+        console.error('Error parsing scheduler version:', error)
+        return 1
+    }
+}
+
 /**
  * Extract note type definitions
  */
@@ -335,6 +314,7 @@ export function parseNoteTypes(db) {
                         back: t.afmt
                     })) : [],
                     css: model.css || '',
+                    isCloze: model.type === MODEL_TYPES.CLOZE,
                     cardCount: model.tmpls ? model.tmpls.length : 1
                 }
             }
@@ -427,8 +407,12 @@ export function parseCards(db) {
             factor: card.factor || 0,
             reviews: card.reps || 0,
             lapses: card.lapses || 0,
+            left: card.left || 0,
+            originalDue: card.odue || 0,
+            originalDeckId: card.odid || 0,
             status: getCardStatus(card.queue),
-            flags: card.flags || 0
+            flags: card.flags || 0,
+            data: card.data || ''
         }))
     } catch (error) {
         console.error('Error parsing cards:', error)
@@ -436,6 +420,32 @@ export function parseCards(db) {
     }
 }
 
+/**
+ * Extract the review history, oldest review first
+ */
+export function parseReviewLog(db) {
+    try {
+        const tables = executeQuery(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'revlog'")
+        if (!tables.length) return []
+
+        const reviews = executeQuery(db, "SELECT id, cid, ease, ivl, lastIvl, factor, time, type FROM revlog ORDER BY id")
+        return reviews.map(review => ({
+            reviewedAt: review.id,
+            cardId: review.cid,
+            ease: review.ease,
+            // Positive intervals are days, negative ones seconds
+            interval: review.ivl,
+            lastInterval: review.lastIvl,
+            factor: review.factor,
+            time: review.time,
+            type: review.type
+        }))
+    } catch (error) {
+        console.error('Error parsing review log:', error)
+        return []
+    }
+}
+
 /**
  * Calculate deck statistics
  */
@@ -545,9 +555,10 @@ function getCardStatus(queue) {
 }
 
 /**
- * Get enhanced preview of cards with front/back content (media-free version)
+ * Get enhanced preview of cards with front/back content and the media each side refers to.
+ * Pass the collection's decks to fill in {{Deck}} and {{Subdeck}}.
  */
-export function getCardPreviews(notes, cards, noteTypes, limit = 10) {
+export function getCardPreviews(notes, cards, noteTypes, limit = 10, decks = {}) {
     try {
         const previews = []
         const notesById = {}
@@ -567,23 +578,30 @@ export function getCardPreviews(notes, cards, noteTypes, limit = 10) {
             const noteType = noteTypes.models[note.modelId]
             if (!noteType) continue
 
-            const template = noteType.templates[card.templateIndex]
+            // Cloze note types have one template; each card is one deletion number
+            const isCloze = noteType.isCloze
+            const template = noteType.templates[isCloze ? 0 : card.templateIndex]
             if (!template) continue
 
+            const context = {
+                fields: note.fields,
+                fieldNames: noteType.fields,
+                clozeNumber: card.templateIndex + 1,
+                tags: note.tags,
+                deckName: decks[card.originalDeckId || card.deckId]?.name,
+                noteTypeName: noteType.name,
+                cardName: isCloze ? `Cloze ${card.templateIndex + 1}` : template.name
+            }
+
             // Process front side first (returns content and media found)
-            const frontResult = processAnkiTemplate(
-                template.front, 
-                note.fields, 
-                noteType.fields
-            )
+            const frontResult = processAnkiTemplate(template.front, context)
 
             // Process back side with front content available
-            const backResult = processAnkiTemplate(
-                template.back, 
-                note.fields, 
-                noteType.fields, 
-                frontResult.content
-            )
+            const backResult = processAnkiTemplate(template.back, {
+                ...context,
+                isAnswer: true,
+                frontContent: frontResult.content
+            })
 
             previews.push({
                 cardId: card.id,
@@ -596,6 +614,10 @@ export function getCardPreviews(notes, cards, noteTypes, limit = 10) {
                 fields: note.fields,
                 fieldNames: noteType.fields,
                 tags: note.tags,
+                // Field the typed answer is compared with, from {{type:Field}} on the front
+                typeAnswer: frontResult.typeAnswerField
+                    ? note.fields[noteType.fields.indexOf(frontResult.typeAnswerField)] || ''
+                    : null,
                 mediaFound: [...frontResult.mediaFound, ...backResult.mediaFound]
             })
         }
@@ -0,0 +1,103 @@
+// Character-level comparison of a typed answer with the expected one,
+// like Anki's {{type:Field}}
+
+export const DEFAULT_TYPE_ANSWER_OPTIONS = {
+    ignoreCase: true,
+    ignoreAccents: false,
+    ignoreWhitespace: true
+}
+
+/**
+ * Prepares an answer for comparison
+ * @param {string} text - Typed or expected answer
+ * @param {Object} options - Leniency options
+ * @returns {string} Text with surrounding and repeated whitespace removed
+ *   when whitespace is ignored
+ */
+function prepareAnswer(text, options) {
+    return options.ignoreWhitespace ? text.trim().replace(/\s+/g, ' ') : text
+}
+
+/**
+ * Maps a single character to the form used for comparing it
+ * @param {string} char - Character to compare
+ * @param {Object} options - Leniency options
+ * @returns {string}
+ */
+function comparisonKey(char, options) {
+    let key = options.ignoreCase ? char.toLowerCase() : char
+    if (options.ignoreAccents) {
+        key = key.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    }
+    return key
+}
+
+/**
+ * Adds a character to the last segment when it has the same type
+ */
+function pushSegment(segments, type, text) {
+    const last = segments[segments.length - 1]
+    if (last && last.type === type) {
+        last.text += text
+    } else {
+        segments.push({ type, text })
+    }
+}
+
+/**
+ * Compares a typed answer with the expected answer character by character
+ * using their longest common subsequence
+ * @param {string} typed - What the user typed
+ * @param {string} expected - The correct answer
+ * @param {Object} options - { ignoreCase, ignoreAccents, ignoreWhitespace }
+ * @returns {Array<{type: string, text: string}>} Segments in reading order;
+ *   type is 'correct', 'extra' (typed but not expected) or 'missing'
+ *   (expected but not typed)
+ */
+export function diffAnswer(typed, expected, options = DEFAULT_TYPE_ANSWER_OPTIONS) {
+    const a = [...prepareAnswer(typed, options)]
+    const b = [...prepareAnswer(expected, options)]
+    const aKeys = a.map(char => comparisonKey(char, options))
+    const bKeys = b.map(char => comparisonKey(char, options))
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = aKeys[i] === bKeys[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+        }
+    }
+
+    const segments = []
+    let i = 0
+    let j = 0
+    while (i < a.length && j < b.length) {
+        if (aKeys[i] === bKeys[j]) {
+            // Show the expected spelling for characters that match leniently
+            pushSegment(segments, 'correct', b[j])
+            i++
+            j++
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            pushSegment(segments, 'extra', a[i++])
+        } else {
+            pushSegment(segments, 'missing', b[j++])
+        }
+    }
+    while (i < a.length) pushSegment(segments, 'extra', a[i++])
+    while (j < b.length) pushSegment(segments, 'missing', b[j++])
+
+    return segments
+}
+
+/**
+ * Checks whether a typed answer matches the expected answer
+ * @param {string} typed - What the user typed
+ * @param {string} expected - The correct answer
+ * @param {Object} options - Leniency options
+ * @returns {boolean}
+ */
+export function isAnswerCorrect(typed, expected, options = DEFAULT_TYPE_ANSWER_OPTIONS) {
+    return diffAnswer(typed, expected, options).every(segment => segment.type === 'correct')
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_TYPE_ANSWER_OPTIONS, diffAnswer, isAnswerCorrect } from './answerDiff'
+
+const STRICT = { ignoreCase: false, ignoreAccents: false, ignoreWhitespace: false }
+
+describe('diffAnswer', () => {
+    it('marks a matching answer as one correct segment', () => {
+        expect(diffAnswer('house', 'house', STRICT)).toEqual([{ type: 'correct', text: 'house' }])
+    })
+
+    it('marks typed characters that are not expected as extra', () => {
+        expect(diffAnswer('houses', 'house', STRICT)).toEqual([
+            { type: 'correct', text: 'house' },
+            { type: 'extra', text: 's' }
+        ])
+    })
+
+    it('marks expected characters that were not typed as missing', () => {
+        expect(diffAnswer('hse', 'house', STRICT)).toEqual([
+            { type: 'correct', text: 'h' },
+            { type: 'missing', text: 'ou' },
+            { type: 'correct', text: 'se' }
+        ])
+    })
+
+    it('shows a wrong character as extra followed by the missing one', () => {
+        expect(diffAnswer('hoase', 'house', STRICT)).toEqual([
+            { type: 'correct', text: 'ho' },
+            { type: 'extra', text: 'a' },
+            { type: 'missing', text: 'u' },
+            { type: 'correct', text: 'se' }
+        ])
+    })
+
+    it('ignores case when asked to, showing the expected spelling', () => {
+        expect(diffAnswer('HOUSE', 'House', { ...STRICT, ignoreCase: true }))
+            .toEqual([{ type: 'correct', text: 'House' }])
+        expect(diffAnswer('HOUSE', 'House', STRICT).some(segment => segment.type !== 'correct')).toBe(true)
+    })
+
+    it('ignores accents when asked to', () => {
+        expect(diffAnswer('cafe', 'café', { ...STRICT, ignoreAccents: true }))
+            .toEqual([{ type: 'correct', text: 'café' }])
+        expect(diffAnswer('cafe', 'café', STRICT)).toEqual([
+            { type: 'correct', text: 'caf' },
+            { type: 'extra', text: 'e' },
+            { type: 'missing', text: 'é' }
+        ])
+    })
+
+    it('ignores surrounding and repeated whitespace when asked to', () => {
+        expect(diffAnswer('  big   house ', 'big house', { ...STRICT, ignoreWhitespace: true }))
+            .toEqual([{ type: 'correct', text: 'big house' }])
+        expect(diffAnswer('big  house', 'big house', STRICT)).toEqual([
+            { type: 'correct', text: 'big ' },
+            { type: 'extra', text: ' ' },
+            { type: 'correct', text: 'house' }
+        ])
+    })
+})
+
+describe('isAnswerCorrect', () => {
+    it('accepts answers that differ only in what the options ignore', () => {
+        expect(isAnswerCorrect(' Big  House', 'big house')).toBe(true)
+        expect(isAnswerCorrect('resume', 'résumé', { ...DEFAULT_TYPE_ANSWER_OPTIONS, ignoreAccents: true })).toBe(true)
+    })
+
+    it('rejects answers with extra or missing characters', () => {
+        expect(isAnswerCorrect('houses', 'house')).toBe(false)
+        expect(isAnswerCorrect('hous', 'house')).toBe(false)
+        expect(isAnswerCorrect('resume', 'résumé')).toBe(false)
+    })
+})
@@ -0,0 +1,405 @@
+// Writes decks as Anki packages (.apkg): a zip holding a collection.anki2
+// SQLite database in the schema 11 format, a media manifest and the media files
+import JSZip from 'jszip'
+import { openDatabase } from './sqlScriptLoader'
+import { parseCardContent } from './media'
+import { getMediaFiles } from './storage'
+import { DEFAULT_PRESET, getPresetForDeck, NEW_CARD_ORDERS, LEECH_ACTIONS } from './deckPresets'
+import { DEFAULT_EASE } from './scheduler'
+import { DIRECTIONS } from './cardDirections'
+import { isCardBuried } from './cardStatus'
+import { downloadFile } from './deckLibrary'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const FIELD_SEPARATOR = '\x1f'
+const DEFAULT_DECK_ID = 1
+const DEFAULT_CONF_ID = 1
+
+// Values of the cards table's type and queue columns
+const CARD_TYPES = { NEW: 0, LEARNING: 1, REVIEW: 2, RELEARNING: 3 }
+const CARD_QUEUES = { SUSPENDED: -1, USER_BURIED: -3, NEW: 0, LEARNING: 1, REVIEW: 2, DAY_LEARNING: 3 }
+
+const COLLECTION_SCHEMA = `
+    CREATE TABLE col (
+        id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+        ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+        conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+    );
+    CREATE TABLE notes (
+        id integer primary key, guid text not null, mid integer not null, mod integer not null,
+        usn integer not null, tags text not null, flds text not null, sfld integer not null,
+        csum integer not null, flags integer not null, data text not null
+    );
+    CREATE TABLE cards (
+        id integer primary key, nid integer not null, did integer not null, ord integer not null,
+        mod integer not null, usn integer not null, type integer not null, queue integer not null,
+        due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+        lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+        flags integer not null, data text not null
+    );
+    CREATE TABLE revlog (
+        id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+        ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+        type integer not null
+    );
+    CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+    CREATE INDEX ix_notes_usn ON notes (usn);
+    CREATE INDEX ix_cards_usn ON cards (usn);
+    CREATE INDEX ix_revlog_usn ON revlog (usn);
+    CREATE INDEX ix_cards_nid ON cards (nid);
+    CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+    CREATE INDEX ix_revlog_cid ON revlog (cid);
+    CREATE INDEX ix_notes_csum ON notes (csum);
+`
+
+/**
+ * SHA-1 digest of a string as hex, used for note checksums and IDs
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} 40 hex digits
+ */
+async function sha1Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text))
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Escapes text for use in field HTML
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Turns card text into Anki field HTML, keeping image and sound references
+ * @param {string} text - Card side
+ * @returns {string} Field HTML
+ */
+function toFieldHtml(text) {
+    return parseCardContent(text.trim()).map(segment => {
+        if (segment.type === 'image') return `<img src="${escapeHtml(segment.name)}">`
+        if (segment.type === 'sound') return `[sound:${segment.name}]`
+        return escapeHtml(segment.text).replace(/\n/g, '<br>')
+    }).join('')
+}
+
+/**
+ * The sort field as Anki stores it: text only, without markup or media
+ * @param {string} text - Card side
+ * @returns {string}
+ */
+function toSortField(text) {
+    return parseCardContent(text)
+        .filter(segment => segment.type === 'text')
+        .map(segment => segment.text)
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * Midnight at the start of a date's local day
+ * @param {Date} date - Reference date
+ * @returns {Date}
+ */
+function startOfDay(date) {
+    const start = new Date(date)
+    start.setHours(0, 0, 0, 0)
+    return start
+}
+
+/**
+ * Picks the collection creation time, which review due dates are counted
+ * from in days. It is moved back to the earliest due date so overdue
+ * cards don't get negative due days.
+ * @param {Array} states - Scheduling states of the exported cards
+ * @param {Date} now - Time of the export
+ * @returns {Date} Start of the collection's first day
+ */
+function getCollectionStart(states, now) {
+    const dueTimes = states
+        .filter(state => state.due)
+        .map(state => new Date(state.due).getTime())
+    return startOfDay(new Date(Math.min(now.getTime(), ...dueTimes)))
+}
+
+/**
+ * Maps a scheduling state onto the scheduling columns of a cards row
+ * @param {Object} state - Scheduling state, or null for a new card
+ * @param {Object} context - { position, collectionStart, now, preset }
+ * @returns {Object} { type, queue, due, ivl, factor, reps, lapses, left, data }
+ */
+export function toAnkiScheduling(state, { position, collectionStart, now, preset }) {
+    if (!state || state.state === 'new') {
+        return { type: CARD_TYPES.NEW, queue: CARD_QUEUES.NEW, due: position, ivl: 0, factor: 0, reps: 0, lapses: 0, left: 0, data: '' }
+    }
+
+    const due = new Date(state.due)
+    const dueDay = Math.max(0, Math.round((startOfDay(due) - collectionStart) / DAY_MS))
+    const scheduling = {
+        ivl: state.state === 'learning' ? 0 : Math.max(1, Math.round(state.interval)),
+        factor: Math.round((state.ease || DEFAULT_EASE) * 1000),
+        reps: state.reps || 0,
+        lapses: state.lapses || 0,
+        left: 0,
+        // FSRS memory state, read by Anki versions with FSRS support
+        data: state.stability ? JSON.stringify({ s: state.stability, d: state.difficulty }) : ''
+    }
+
+    if (state.state === 'review') {
+        return { ...scheduling, type: CARD_TYPES.REVIEW, queue: CARD_QUEUES.REVIEW, due: dueDay }
+    }
+
+    // Learning steps left, packed as Anki expects: steps left today * 1000 + steps left
+    const steps = state.state === 'relearning' ? preset.relearningSteps : preset.learningSteps
+    const stepsLeft = Math.max(1, steps.length - (state.step || 0))
+    const isToday = due < startOfDay(new Date(now.getTime() + DAY_MS))
+    return {
+        ...scheduling,
+        type: state.state === 'relearning' ? CARD_TYPES.RELEARNING : CARD_TYPES.LEARNING,
+        // Steps of a day or more wait in the day-based learning queue
+        queue: isToday ? CARD_QUEUES.LEARNING : CARD_QUEUES.DAY_LEARNING,
+        due: isToday ? Math.floor(due.getTime() / 1000) : dueDay,
+        left: stepsLeft * 1000 + stepsLeft
+    }
+}
+
+/**
+ * Builds the Basic note type, with a back→front template when the deck
+ * is practiced in that direction too
+ * @param {number} id - Note type ID
+ * @param {number} deckId - Anki deck ID
+ * @param {boolean} withReverse - Whether to add the reverse template
+ * @param {number} mod - Modification time in seconds
+ * @returns {Object} Note type as stored in col.models
+ */
+function createBasicModel(id, deckId, withReverse, mod) {
+    const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })
+    const template = (name, ord, qfmt, afmt) => ({ name, ord, qfmt, afmt, did: null, bqfmt: '', bafmt: '' })
+    const templates = [template('Card 1', 0, '{{Front}}', '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}')]
+    if (withReverse) {
+        templates.push(template('Card 2', 1, '{{Back}}', '{{FrontSide}}\n\n<hr id=answer>\n\n{{Front}}'))
+    }
+
+    return {
+        id,
+        name: withReverse ? 'Basic (and reversed card)' : 'Basic',
+        type: 0,
+        mod,
+        usn: -1,
+        sortf: 0,
+        did: deckId,
+        tmpls: templates,
+        flds: [field('Front', 0), field('Back', 1)],
+        css: '.card {\n    font-family: arial;\n    font-size: 20px;\n    text-align: center;\n    color: black;\n    background-color: white;\n}\n',
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        latexsvg: false,
+        req: templates.map(({ ord }) => [ord, 'any', [ord]]),
+        tags: [],
+        vers: []
+    }
+}
+
+/**
+ * Builds a deck entry for col.decks
+ * @param {number} id - Anki deck ID
+ * @param {string} name - Deck name
+ * @param {string} description - Deck description
+ * @param {number} confId - Options group ID
+ * @param {number} mod - Modification time in seconds
+ * @returns {Object}
+ */
+function createDeckEntry(id, name, description, confId, mod) {
+    return {
+        id,
+        name,
+        desc: description,
+        mod,
+        usn: -1,
+        conf: confId,
+        dyn: 0,
+        collapsed: false,
+        browserCollapsed: false,
+        extendNew: 0,
+        extendRev: 0,
+        newToday: [0, 0],
+        revToday: [0, 0],
+        lrnToday: [0, 0],
+        timeToday: [0, 0]
+    }
+}
+
+/**
+ * Builds an options group for col.dconf from an options preset
+ * @param {number} id - Options group ID
+ * @param {Object} preset - Options preset
+ * @param {number} mod - Modification time in seconds
+ * @returns {Object}
+ */
+function createDeckConfig(id, preset, mod) {
+    return {
+        id,
+        name: preset.name,
+        mod,
+        usn: -1,
+        dyn: false,
+        maxTaken: 60,
+        timer: 0,
+        autoplay: true,
+        replayq: true,
+        new: {
+            delays: preset.learningSteps,
+            ints: [1, 4, 0],
+            initialFactor: Math.round(DEFAULT_EASE * 1000),
+            order: preset.newCardOrder === NEW_CARD_ORDERS.RANDOM ? 0 : 1,
+            perDay: preset.newCardsPerDay,
+            bury: false
+        },
+        rev: {
+            perDay: preset.maxReviewsPerDay,
+            ease4: 1.3,
+            ivlFct: 1,
+            maxIvl: 36500,
+            hardFactor: 1.2,
+            bury: false
+        },
+        lapse: {
+            delays: preset.relearningSteps,
+            mult: 0,
+            minInt: 1,
+            leechFails: preset.leechThreshold,
+            leechAction: preset.leechAction === LEECH_ACTIONS.SUSPEND ? 0 : 1
+        }
+    }
+}
+
+/**
+ * Builds an Anki package for a deck
+ * @param {Object} deck - Deck with name, description, direction and cards
+ * @param {Object} options - { preset, mediaFiles, now }
+ * @returns {Promise<Blob>} The .apkg file
+ */
+export async function createAnkiPackage(deck, { preset, mediaFiles = [], now = new Date() }) {
+    const cards = deck.cards.filter(card => card.front.trim() && card.back.trim())
+    const withReverse = !!deck.direction && deck.direction !== DIRECTIONS.FORWARD
+    const nowSeconds = Math.floor(now.getTime() / 1000)
+    // Anki IDs are millisecond timestamps
+    const modelId = now.getTime()
+    const deckId = now.getTime()
+    const confId = now.getTime()
+    const collectionStart = getCollectionStart(
+        cards.flatMap(card => [card.srs, withReverse ? card.reverseSrs : null]).filter(Boolean),
+        now
+    )
+
+    const db = await openDatabase()
+    try {
+        db.run(COLLECTION_SCHEMA)
+
+        let nextCardId = now.getTime()
+        for (const [index, card] of cards.entries()) {
+            const noteId = now.getTime() + index
+            const sortField = toSortField(card.front)
+            const tags = (card.tags || []).map(tag => tag.replace(/\s+/g, '_'))
+
+            db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+                noteId,
+                // Stable per card, so exporting again updates the notes instead of duplicating them
+                (await sha1Hex(`${deck.id || deck.name}/${card.id}`)).slice(0, 10),
+                modelId,
+                nowSeconds,
+                tags.length > 0 ? ` ${tags.join(' ')} ` : '',
+                toFieldHtml(card.front) + FIELD_SEPARATOR + toFieldHtml(card.back),
+                sortField,
+                parseInt((await sha1Hex(sortField)).slice(0, 8), 16)
+            ])
+
+            const states = withReverse ? [card.srs, card.reverseSrs] : [card.srs]
+            states.forEach((state, ord) => {
+                const scheduling = toAnkiScheduling(state, { position: index + 1, collectionStart, now, preset })
+                const queue = card.suspended
+                    ? CARD_QUEUES.SUSPENDED
+                    : isCardBuried(card, now) ? CARD_QUEUES.USER_BURIED : scheduling.queue
+
+                db.run('INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?)', [
+                    nextCardId++,
+                    noteId,
+                    deckId,
+                    ord,
+                    nowSeconds,
+                    scheduling.type,
+                    queue,
+                    scheduling.due,
+                    scheduling.ivl,
+                    scheduling.factor,
+                    scheduling.reps,
+                    scheduling.lapses,
+                    scheduling.left,
+                    card.flag || 0,
+                    scheduling.data
+                ])
+            })
+        }
+
+        const defaultDeck = createDeckEntry(DEFAULT_DECK_ID, 'Default', '', DEFAULT_CONF_ID, nowSeconds)
+        const exportedDeck = createDeckEntry(deckId, deck.name, deck.description || '', confId, nowSeconds)
+        db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, \'{}\')', [
+            Math.floor(collectionStart.getTime() / 1000),
+            now.getTime(),
+            now.getTime(),
+            JSON.stringify({
+                activeDecks: [deckId],
+                curDeck: deckId,
+                curModel: modelId,
+                nextPos: cards.length + 1,
+                newSpread: 0,
+                collapseTime: 1200,
+                timeLim: 0,
+                estTimes: true,
+                dueCounts: true,
+                sortType: 'noteFld',
+                sortBackwards: false,
+                addToCur: true,
+                // Answers are graded with four buttons in every queue, as in the v2 scheduler
+                schedVer: 2
+            }),
+            JSON.stringify({ [modelId]: createBasicModel(modelId, deckId, withReverse, nowSeconds) }),
+            JSON.stringify({ [DEFAULT_DECK_ID]: defaultDeck, [deckId]: exportedDeck }),
+            JSON.stringify({
+                [DEFAULT_CONF_ID]: createDeckConfig(DEFAULT_CONF_ID, DEFAULT_PRESET, nowSeconds),
+                [confId]: createDeckConfig(confId, preset, nowSeconds)
+            })
+        ])
+
+        const zip = new JSZip()
+        zip.file('collection.anki2', db.export())
+
+        // Media files are stored under their index in the manifest
+        const manifest = {}
+        for (const [index, file] of mediaFiles.entries()) {
+            manifest[index] = file.name
+            zip.file(String(index), await file.blob.arrayBuffer())
+        }
+        zip.file('media', JSON.stringify(manifest))
+
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' })
+    } finally {
+        db.close()
+    }
+}
+
+/**
+ * Downloads a deck as an Anki package, with its options preset and media
+ * @param {Object} deck - Deck with name, description, presetId, direction and cards;
+ *   saved decks also have an id, used to find their media
+ */
+export async function downloadDeckAsApkg(deck) {
+    const [preset, mediaFiles] = await Promise.all([
+        getPresetForDeck(deck),
+        deck.id ? getMediaFiles(deck.id) : []
+    ])
+    const blob = await createAnkiPackage(deck, { preset, mediaFiles })
+    downloadFile(blob, `${deck.name.toLowerCase().replace(/\s+/g, '-')}-deck.apkg`)
+}
@@ -0,0 +1,458 @@
+// Reads Anki packages (.apkg and .colpkg): a zip holding the SQLite collection
+import JSZip from 'jszip'
+import { openDatabase } from './sqlScriptLoader'
+import { parseFullDeck, getCardPreviews } from './ankiParser'
+import { formatImageReference, getMediaReferences, getMediaType, saveDeckMedia } from './media'
+import { DEFAULT_EASE, DEFAULT_LEARNING_STEPS, DEFAULT_RELEARNING_STEPS } from './scheduler'
+import { buryCard } from './cardStatus'
+import { DIRECTIONS } from './cardDirections'
+import { MAX_ANSWER_TIME_MS } from './reviewLog'
+import { applyImportOptions, getCardDeckId } from './ankiImportOptions'
+
+export const ANKI_PACKAGE_EXTENSIONS = ['.apkg', '.colpkg']
+
+// Collection files in order of preference; .anki21 holds the newer schema
+const COLLECTION_FILES = ['collection.anki21', 'collection.anki2']
+// Zstandard-compressed collection written by Anki 2.1.50+, which can't be read here
+const COMPRESSED_COLLECTION_FILE = 'collection.anki21b'
+// JSON manifest mapping the numbered files in the package to media file names
+const MEDIA_MANIFEST_FILE = 'media'
+
+const MAX_PACKAGE_SIZE = 200 * 1024 * 1024 // 200MB
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const SECONDS_PER_DAY = 24 * 60 * 60
+
+// Values of the cards table's type and queue columns, and the revlog type column
+const ANKI_CARD_TYPES = { NEW: 0, LEARNING: 1, REVIEW: 2, RELEARNING: 3 }
+const ANKI_QUEUES = { SUSPENDED: -1, SCHEDULER_BURIED: -2, USER_BURIED: -3 }
+const ANKI_REVIEW_TYPES = { LEARNING: 0, REVIEW: 1, RELEARNING: 2, FILTERED: 3 }
+// The v1 scheduler has no Hard button while learning: 1=Again, 2=Good, 3=Easy
+const V1_SCHEDULER = 1
+// Due values above this are timestamps in seconds rather than day numbers
+const DUE_TIMESTAMP_THRESHOLD = 1000000000
+
+/**
+ * Checks whether a file name has an Anki package extension
+ * @param {string} fileName - Name of the selected file
+ * @returns {boolean}
+ */
+export function isAnkiPackage(fileName) {
+    const name = fileName.toLowerCase()
+    return ANKI_PACKAGE_EXTENSIONS.some(extension => name.endsWith(extension))
+}
+
+/**
+ * Reads the media file name an image points to. Some Anki versions
+ * percent-encode the name in the src attribute.
+ * @param {Element} image - The <img> element
+ * @returns {string} File name
+ */
+function getImageName(image) {
+    const src = image.getAttribute('src') || ''
+    try {
+        return decodeURIComponent(src)
+    } catch {
+        return src
+    }
+}
+
+/**
+ * Turns rendered card HTML into the plain text shown on cards. Images
+ * are kept as <img src="name"> references to the deck's media.
+ * @param {string} html - Card side rendered from its template
+ * @returns {string} Text with line breaks kept
+ */
+function htmlToText(html) {
+    const withBreaks = html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(div|p|li|tr|h[1-6])>/gi, '$&\n')
+    const doc = new DOMParser().parseFromString(withBreaks, 'text/html')
+    doc.querySelectorAll('style, script').forEach(element => element.remove())
+    doc.querySelectorAll('img').forEach(image => {
+        const name = getImageName(image)
+        image.replaceWith(name ? formatImageReference(name) : '')
+    })
+    return doc.body.textContent
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+}
+
+/**
+ * Keeps only the answer part of a rendered back side. Anki's back
+ * templates usually repeat the front above an <hr id=answer> divider.
+ * @param {string} html - Rendered back side
+ * @returns {string}
+ */
+function stripFrontSide(html) {
+    const parts = html.split(/<hr[^>]*id=["']?answer["']?[^>]*>/i)
+    return parts[parts.length - 1]
+}
+
+/**
+ * Finds the Anki deck whose name becomes the name of the imported deck: the
+ * deck all the cards' decks are nested in, or else the one most cards belong to
+ * @param {Object} deckInfo - Parsed deck metadata
+ * @param {Array} cards - Parsed cards
+ * @returns {Object|null} Anki deck
+ */
+function findMainDeck(deckInfo, cards) {
+    const counts = {}
+    cards.forEach(card => {
+        const deckId = getCardDeckId(card)
+        counts[deckId] = (counts[deckId] || 0) + 1
+    })
+
+    const paths = Object.keys(counts)
+        .map(deckId => deckInfo.decks[deckId]?.name.split('::'))
+        .filter(Boolean)
+    const commonPath = paths.reduce((common, path) => {
+        const length = common.findIndex((part, i) => part !== path[i])
+        return length === -1 ? common : common.slice(0, length)
+    }, paths[0] || [])
+    const parentDeck = commonPath.length > 0
+        && Object.values(deckInfo.decks).find(deck => deck.name === commonPath.join('::'))
+    if (parentDeck) return parentDeck
+
+    const [mainDeckId] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || []
+    return deckInfo.decks[mainDeckId] || deckInfo.defaultDeck
+}
+
+/**
+ * Opens the collection database inside an Anki package
+ * @param {JSZip} zip - The opened package
+ * @returns {Promise<Object>} The database
+ */
+async function openCollection(zip) {
+    const collectionFile = COLLECTION_FILES.map(name => zip.file(name)).find(Boolean)
+    if (!collectionFile) {
+        throw new Error(zip.file(COMPRESSED_COLLECTION_FILE)
+            ? 'This package uses the newest Anki format. Export it again with "Support older Anki versions" checked.'
+            : 'No Anki collection found in this package')
+    }
+    return openDatabase(await collectionFile.async('uint8array'))
+}
+
+/**
+ * Reads the package's media manifest, keeping the files the package has
+ * @param {JSZip} zip - The opened package
+ * @returns {Promise<Object>} Numbered zip entry by media file name
+ */
+async function readMediaManifest(zip) {
+    const manifestFile = zip.file(MEDIA_MANIFEST_FILE)
+    if (!manifestFile) return {}
+
+    const manifest = JSON.parse(await manifestFile.async('string') || '{}')
+    return Object.fromEntries(Object.entries(manifest)
+        .filter(([entry]) => zip.file(entry))
+        .map(([entry, name]) => [name, entry]))
+}
+
+/**
+ * Matches the media the cards refer to with the files in the package
+ * @param {Object} mediaManifest - Zip entries by file name, from readMediaManifest
+ * @param {Array} cards - Imported cards
+ * @returns {{media: Object, missingMedia: Array<string>}} Zip entries by file
+ *   name for the files found, and the names of those missing
+ */
+function collectMedia(mediaManifest, cards) {
+    const names = new Set(cards.flatMap(card => [
+        ...getMediaReferences(card.front),
+        ...getMediaReferences(card.back)
+    ]))
+
+    const media = {}
+    const missingMedia = []
+    names.forEach(name => {
+        if (mediaManifest[name] !== undefined) {
+            media[name] = mediaManifest[name]
+        } else {
+            missingMedia.push(name)
+        }
+    })
+    return { media, missingMedia }
+}
+
+/**
+ * Reads the FSRS memory state Anki keeps in a card's data column
+ * @param {string} data - JSON from the cards table
+ * @returns {Object} { stability, difficulty }, or nothing for cards without one
+ */
+function readMemoryState(data) {
+    try {
+        const { s, d } = JSON.parse(data || '{}')
+        return s ? { stability: s, difficulty: d } : {}
+    } catch {
+        return {}
+    }
+}
+
+/**
+ * Turns an Anki due value into a date. Reviews are due on a day counted
+ * from the collection's creation, intraday learning steps at a timestamp.
+ * @param {number} due - Value of the due column
+ * @param {Date} collectionCreated - Creation time of the collection
+ * @returns {Date}
+ */
+function toDueDate(due, collectionCreated) {
+    if (due > DUE_TIMESTAMP_THRESHOLD) return new Date(due * 1000)
+
+    const date = new Date(collectionCreated)
+    date.setHours(0, 0, 0, 0)
+    date.setDate(date.getDate() + due)
+    return date
+}
+
+/**
+ * Converts the scheduling columns of an Anki card into the app's
+ * scheduling state, the inverse of the .apkg export
+ * @param {Object} card - Card from parseCards
+ * @param {Date} collectionCreated - Creation time of the collection
+ * @param {number} lastReviewedAt - Time of the card's last review in the revlog, if any
+ * @returns {Object|null} Scheduling state, or null for new cards
+ */
+export function toSchedulingState(card, collectionCreated, lastReviewedAt) {
+    if (!card.type || card.type === ANKI_CARD_TYPES.NEW) return null
+
+    // Cards moved into a filtered deck keep their real due date in odue
+    const due = toDueDate(card.originalDeckId ? card.originalDue : card.due, collectionCreated || new Date())
+    const isReview = card.type === ANKI_CARD_TYPES.REVIEW
+    const isRelearning = card.type === ANKI_CARD_TYPES.RELEARNING
+    const interval = card.type === ANKI_CARD_TYPES.LEARNING ? 0 : Math.max(1, card.interval)
+    // The low three digits of left count the learning steps still to go
+    const steps = isRelearning ? DEFAULT_RELEARNING_STEPS : DEFAULT_LEARNING_STEPS
+    const step = isReview ? 0 : Math.min(steps.length - 1, Math.max(0, steps.length - (card.left % 1000)))
+
+    let reviewedAt = lastReviewedAt ? new Date(lastReviewedAt) : null
+    if (!reviewedAt && isReview) {
+        reviewedAt = new Date(due.getTime() - interval * DAY_MS)
+    }
+
+    return {
+        state: isReview ? 'review' : isRelearning ? 'relearning' : 'learning',
+        ease: card.factor ? card.factor / 1000 : DEFAULT_EASE,
+        interval,
+        step,
+        due: due.toISOString(),
+        reps: card.reviews,
+        lapses: card.lapses,
+        lastReviewedAt: reviewedAt ? reviewedAt.toISOString() : null,
+        ...readMemoryState(card.data)
+    }
+}
+
+/**
+ * Converts Anki revlog rows into review log entries. Manual reschedules
+ * aren't answers and are left out.
+ * @param {Array} reviewLog - Rows from parseReviewLog, oldest first
+ * @param {Set} cardIds - IDs of the imported cards
+ * @param {number} schedulerVersion - Anki scheduler the reviews were graded with
+ * @returns {Array} Review log entries without a deckId
+ */
+export function toReviewHistory(reviewLog, cardIds, schedulerVersion = 2) {
+    const toDays = (interval) => interval < 0 ? -interval / SECONDS_PER_DAY : interval
+    const seenCards = new Set()
+
+    return reviewLog
+        .filter(review => cardIds.has(review.cardId) && review.ease > 0 && review.type <= ANKI_REVIEW_TYPES.FILTERED)
+        .map(review => {
+            let previousState = 'review'
+            if (review.type === ANKI_REVIEW_TYPES.LEARNING) {
+                previousState = seenCards.has(review.cardId) ? 'learning' : 'new'
+            } else if (review.type === ANKI_REVIEW_TYPES.RELEARNING) {
+                previousState = 'relearning'
+            } else if (review.type === ANKI_REVIEW_TYPES.FILTERED && review.lastInterval <= 0) {
+                previousState = 'learning'
+            }
+            seenCards.add(review.cardId)
+
+            const learning = previousState !== 'review'
+            const grade = schedulerVersion === V1_SCHEDULER && learning && review.ease > 1
+                ? review.ease + 1
+                : review.ease
+
+            return {
+                cardId: review.cardId,
+                direction: DIRECTIONS.FORWARD,
+                reviewedAt: review.reviewedAt,
+                grade,
+                timeTaken: Math.min(Math.max(0, review.time), MAX_ANSWER_TIME_MS),
+                previousState,
+                previousInterval: toDays(review.lastInterval),
+                interval: toDays(review.interval),
+                ease: review.factor ? review.factor / 1000 : DEFAULT_EASE
+            }
+        })
+}
+
+/**
+ * Renders cards of a collection with the chosen field mappings, as text
+ * ready for the app
+ * @param {Object} collection - Collection from readAnkiPackage
+ * @param {Array} cards - Cards from applyImportOptions
+ * @param {Object} noteTypes - Note types from applyImportOptions
+ * @param {number} limit - Maximum number of cards to render
+ * @returns {Array} Previews with text front and back
+ */
+function renderCards(collection, cards, noteTypes, limit = cards.length) {
+    return getCardPreviews(collection.notes, cards, noteTypes, limit, collection.deckInfo.decks)
+        .map(preview => ({
+            ...preview,
+            front: htmlToText(preview.front),
+            back: htmlToText(stripFrontSide(preview.back))
+        }))
+        .filter(preview => preview.front && preview.back)
+}
+
+/**
+ * Shows how the first cards of a note type will look with the chosen
+ * decks and field mappings
+ * @param {Object} collection - Collection from readAnkiPackage
+ * @param {Object} options - { deckIds, fieldMappings }, see applyImportOptions
+ * @param {number} modelId - Note type to preview
+ * @param {number} limit - Maximum number of cards
+ * @returns {Array<{cardId: number, front: string, back: string}>}
+ */
+export function previewImportedCards(collection, options, modelId, limit = 3) {
+    const { cards, noteTypes } = applyImportOptions(collection, options)
+    const noteIds = new Set(collection.notes
+        .filter(note => note.modelId === modelId)
+        .map(note => note.id))
+
+    return renderCards(collection, cards.filter(card => noteIds.has(card.noteId)), noteTypes, limit)
+        .map(({ cardId, front, back }) => ({ cardId, front, back }))
+}
+
+/**
+ * Converts the chosen part of an Anki collection into the app's deck format.
+ * Cards keep their scheduling, suspended and buried state and flag. The deck
+ * data lists the media to import in `media` and the files the package lacks
+ * in `missingMedia`, and carries the review history in `reviewLog`.
+ * @param {Object} collection - Collection from readAnkiPackage
+ * @param {Object} options - { deckIds, fieldMappings }, see applyImportOptions
+ * @param {Date} now - Time of the import
+ * @returns {Object} Deck data for the deck editor's import mode
+ */
+export function buildImportedDeck(collection, options, now = new Date()) {
+    const { cards: ankiCards, noteTypes } = applyImportOptions(collection, options)
+    const ankiCardsById = new Map(ankiCards.map(card => [card.id, card]))
+    const reviewLog = collection.reviewLog || []
+
+    // The log is sorted oldest first, so the last entry per card wins
+    const lastReviews = {}
+    reviewLog.forEach(review => {
+        lastReviews[review.cardId] = review.reviewedAt
+    })
+
+    const cards = renderCards(collection, ankiCards, noteTypes).map(preview => {
+        const ankiCard = ankiCardsById.get(preview.cardId)
+        const card = {
+            id: preview.cardId,
+            front: preview.front,
+            back: preview.back,
+            tags: preview.tags,
+            typeAnswer: preview.typeAnswer !== null ? htmlToText(preview.typeAnswer) : undefined,
+            srs: toSchedulingState(ankiCard, collection.collectionCreated, lastReviews[preview.cardId]),
+            suspended: ankiCard.queue === ANKI_QUEUES.SUSPENDED,
+            flag: ankiCard.flags & 0b111
+        }
+        const isBuried = ankiCard.queue === ANKI_QUEUES.SCHEDULER_BURIED || ankiCard.queue === ANKI_QUEUES.USER_BURIED
+        return isBuried ? buryCard(card, now) : card
+    })
+
+    const mainDeck = findMainDeck(collection.deckInfo, ankiCards)
+    return {
+        name: mainDeck?.name || collection.fileName.replace(/\.[^.]+$/, ''),
+        description: mainDeck?.description ? htmlToText(mainDeck.description) : '',
+        created: now.toISOString(),
+        cards,
+        ...collectMedia(collection.mediaManifest, cards),
+        reviewLog: toReviewHistory(reviewLog, new Set(cards.map(card => card.id)), collection.schedulerVersion)
+    }
+}
+
+/**
+ * Validates an Anki package and reads its collection. The collection is
+ * turned into a deck with buildImportedDeck once the decks and field
+ * mappings to import are chosen.
+ * @param {File} file - The .apkg or .colpkg file
+ * @returns {Promise<{isValid: boolean, error?: string, collection?: Object}>}
+ */
+export async function readAnkiPackage(file) {
+    if (!isAnkiPackage(file.name)) {
+        return {
+            isValid: false,
+            error: 'Please select a valid .apkg or .colpkg file'
+        }
+    }
+
+    if (file.size > MAX_PACKAGE_SIZE) {
+        return {
+            isValid: false,
+            error: 'File too large. Maximum size is 200MB'
+        }
+    }
+
+    let db = null
+    try {
+        const zip = await JSZip.loadAsync(await file.arrayBuffer())
+        db = await openCollection(zip)
+
+        const parsed = parseFullDeck(db)
+        if (!parsed.success) {
+            return { isValid: false, error: parsed.error }
+        }
+
+        if (parsed.cards.length === 0) {
+            return {
+                isValid: false,
+                error: 'This package has no cards'
+            }
+        }
+
+        return {
+            isValid: true,
+            collection: {
+                fileName: file.name,
+                deckInfo: parsed.deckInfo,
+                collectionCreated: parsed.collectionCreated,
+                schedulerVersion: parsed.schedulerVersion,
+                noteTypes: parsed.noteTypes,
+                notes: parsed.notes,
+                cards: parsed.cards,
+                reviewLog: parsed.reviewLog,
+                mediaManifest: await readMediaManifest(zip)
+            }
+        }
+    } catch (error) {
+        console.error('Error reading Anki package:', error)
+        return {
+            isValid: false,
+            error: `Could not read Anki package: ${error.message}`
+        }
+    } finally {
+        db?.close()
+    }
+}
+
+/**
+ * Stores the media of an imported package with the saved deck
+ * @param {string} deckId - ID of the saved deck
+ * @param {File} file - The .apkg or .colpkg file
+ * @param {Object} media - Zip entries by file name, from buildImportedDeck
+ * @returns {Promise<number>} Number of files stored
+ */
+export async function importAnkiMedia(deckId, file, media) {
+    const entries = Object.entries(media || {})
+    if (entries.length === 0) return 0
+    if (!file) throw new Error('The package is no longer available')
+
+    const zip = await JSZip.loadAsync(await file.arrayBuffer())
+    const files = await Promise.all(entries.map(async ([name, entry]) => ({
+        name,
+        blob: new Blob([await zip.file(entry).async('uint8array')], { type: getMediaType(name) })
+    })))
+    await saveDeckMedia(deckId, files)
+    return files.length
+}
@@ -0,0 +1,141 @@
+// @vitest-environment happy-dom
+import { describe, expect, it } from 'vitest'
+import { buildImportedDeck } from './apkgImporter'
+
+const DECK_ID = 1
+const MODEL_ID = 100
+
+/**
+ * Builds a collection like readAnkiPackage returns, with one note type
+ * @param {Object} noteType - { name, fields, templates, isCloze }
+ * @param {Array<Array<string>>} notes - Field values of each note
+ * @param {number} cardsPerNote - Cards of each note, one per template or cloze number
+ */
+function createCollection(noteType, notes, cardsPerNote = 1) {
+    return {
+        fileName: 'test.apkg',
+        deckInfo: { decks: { [DECK_ID]: { id: DECK_ID, name: 'Languages::German' } }, defaultDeck: null },
+        collectionCreated: new Date(),
+        noteTypes: { models: { [MODEL_ID]: { id: MODEL_ID, ...noteType } } },
+        notes: notes.map((fields, index) => ({ id: index + 1, modelId: MODEL_ID, fields, tags: ['noun'] })),
+        cards: notes.flatMap((fields, noteIndex) => Array.from({ length: cardsPerNote }, (_, ord) => ({
+            id: 1000 + noteIndex * cardsPerNote + ord,
+            noteId: noteIndex + 1,
+            deckId: DECK_ID,
+            templateIndex: ord,
+            type: 0,
+            queue: 0,
+            flags: 0
+        }))),
+        reviewLog: [],
+        mediaManifest: {}
+    }
+}
+
+const importAll = (collection) => buildImportedDeck(collection, { deckIds: [DECK_ID], fieldMappings: {} })
+
+describe('buildImportedDeck', () => {
+    it('imports type-in-the-answer notes with the typed field as the expected answer', () => {
+        const collection = createCollection({
+            name: 'Basic (type in the answer)',
+            fields: ['Front', 'Back'],
+            templates: [{
+                name: 'Card 1',
+                front: '{{Front}}\n\n{{type:Back}}',
+                back: '{{Front}}\n\n<hr id=answer>\n\n{{type:Back}}'
+            }]
+        }, [['Hund', 'dog'], ['Katze', '<b>cat</b>']])
+
+        const deck = importAll(collection)
+
+        expect(deck.cards).toHaveLength(2)
+        expect(deck.cards[0]).toMatchObject({ front: 'Hund', back: 'dog', typeAnswer: 'dog' })
+        expect(deck.cards[1]).toMatchObject({ front: 'Katze', back: 'cat', typeAnswer: 'cat' })
+    })
+
+    it('leaves typeAnswer unset for cards without a typed answer', () => {
+        const collection = createCollection({
+            name: 'Basic',
+            fields: ['Front', 'Back'],
+            templates: [{ name: 'Card 1', front: '{{Front}}', back: '{{FrontSide}}<hr id=answer>{{Back}}' }]
+        }, [['Haus', 'house']])
+
+        const [card] = importAll(collection).cards
+
+        expect(card).toMatchObject({ front: 'Haus', back: 'house' })
+        expect(card.typeAnswer).toBeUndefined()
+    })
+
+    it('imports the reverse card of optional reversed notes only when it is enabled', () => {
+        const collection = createCollection({
+            name: 'Basic (optional reversed card)',
+            fields: ['Front', 'Back', 'Add Reverse'],
+            templates: [
+                { name: 'Card 1', front: '{{Front}}', back: '{{FrontSide}}<hr id=answer>{{Back}}' },
+                { name: 'Card 2', front: '{{#Add Reverse}}{{Back}}{{/Add Reverse}}', back: '{{FrontSide}}<hr id=answer>{{Front}}' }
+            ]
+        }, [['Hund', 'dog', 'y'], ['Katze', 'cat', '']], 2)
+
+        const cards = importAll(collection).cards.map(card => `${card.front}|${card.back}`)
+
+        expect(cards).toEqual(['Hund|dog', 'dog|Hund', 'Katze|cat'])
+    })
+
+    it('renders cloze deletions with one card per deletion', () => {
+        const collection = createCollection({
+            name: 'Cloze',
+            isCloze: true,
+            fields: ['Text', 'Back Extra'],
+            templates: [{ name: 'Cloze', front: '{{cloze:Text}}', back: '{{cloze:Text}}<br>{{Back Extra}}' }]
+        }, [['{{c1::Berlin}} is the capital of {{c2::Germany::country}}', '']], 2)
+
+        const cards = importAll(collection).cards
+
+        expect(cards.map(card => card.front)).toEqual([
+            '[...] is the capital of Germany',
+            'Berlin is the capital of [country]'
+        ])
+        expect(cards.map(card => card.back)).toEqual([
+            'Berlin is the capital of Germany',
+            'Berlin is the capital of Germany'
+        ])
+    })
+
+    it('fills in filters and special fields instead of placeholders', () => {
+        const collection = createCollection({
+            name: 'Basic',
+            fields: ['Front', 'Back'],
+            templates: [{
+                name: 'Card 1',
+                front: '{{text:Front}} ({{Subdeck}})',
+                back: '{{hint:Back}} {{Tags}} {{Deck}} {{Unknown}}'
+            }]
+        }, [['<i>Haus</i>', 'house']])
+
+        const [card] = importAll(collection).cards
+
+        expect(card.front).toBe('Haus (German)')
+        expect(card.back).toBe('house noun Languages::German')
+        expect(card.back).not.toContain('Missing Field')
+    })
+    it('converts learning grades from collections studied with the v1 scheduler', () => {
+        const basic = {
+            name: 'Basic',
+            fields: ['Front', 'Back'],
+            templates: [{ name: 'Card 1', front: '{{Front}}', back: '{{FrontSide}}<hr id=answer>{{Back}}' }]
+        }
+        const reviewedAt = new Date('2024-01-01T10:00:00Z')
+        const review = (type, ease) => ({
+            reviewedAt, cardId: 1000, ease, interval: -600, lastInterval: -60, factor: 0, time: 5000, type
+        })
+        const reviewLog = [review(0, 1), review(0, 2), review(0, 3), review(2, 2), review(1, 2), review(1, 4)]
+        const gradesWith = (schedulerVersion) => importAll({
+            ...createCollection(basic, [['Haus', 'house']]),
+            schedulerVersion,
+            reviewLog
+        }).reviewLog.map(entry => entry.grade)
+
+        expect(gradesWith(1)).toEqual([1, 3, 4, 3, 2, 4])
+        expect(gradesWith(2)).toEqual([1, 2, 3, 2, 2, 4])
+    })
+})
@@ -0,0 +1,93 @@
+// Practice directions. Each card can be studied front→back and back→front,
+// with a separate scheduling state per direction (`srs` and `reverseSrs`).
+
+export const DIRECTIONS = {
+    FORWARD: 'forward',
+    REVERSE: 'reverse',
+    MIXED: 'mixed'
+}
+
+/**
+ * Views a card in one direction, with that direction's scheduling state
+ * as `srs` so the scheduler and session can treat it like any card
+ * @param {Object} card - Stored card
+ * @param {string} direction - DIRECTIONS.FORWARD or DIRECTIONS.REVERSE
+ * @returns {Object} Study item
+ */
+export function getStudyItem(card, direction) {
+    const isReverse = direction === DIRECTIONS.REVERSE
+    return {
+        ...card,
+        srs: isReverse ? card.reverseSrs : card.srs,
+        direction: isReverse ? DIRECTIONS.REVERSE : DIRECTIONS.FORWARD
+    }
+}
+
+/**
+ * Lists the study items of a deck's cards for its practice direction
+ * @param {Array} cards - Stored cards
+ * @param {string} direction - One of DIRECTIONS, forward when missing
+ * @returns {Array} Study items
+ */
+export function toStudyItems(cards, direction = DIRECTIONS.FORWARD) {
+    if (direction === DIRECTIONS.MIXED) {
+        return cards.flatMap(card => [
+            getStudyItem(card, DIRECTIONS.FORWARD),
+            getStudyItem(card, DIRECTIONS.REVERSE)
+        ])
+    }
+    return cards.map(card => getStudyItem(card, direction))
+}
+
+/**
+ * Writes a study item's scheduling state back into its stored card
+ * @param {Object} card - Stored card
+ * @param {Object} item - Study item of that card
+ * @returns {Object} Updated stored card
+ */
+export function toStoredCard(card, item) {
+    return item.direction === DIRECTIONS.REVERSE
+        ? { ...card, reverseSrs: item.srs }
+        : { ...card, srs: item.srs }
+}
+
+/**
+ * Checks whether a study item belongs to a stored card
+ * @param {Object} card - Stored card
+ * @param {Object} item - Study item
+ * @returns {boolean}
+ */
+export function isItemOfCard(card, item) {
+    return card.deckId === item.deckId && card.id === item.id
+}
+
+/**
+ * Side of a study item shown as the question
+ * @param {Object} item - Study item
+ * @returns {string}
+ */
+export function getQuestion(item) {
+    return item.direction === DIRECTIONS.REVERSE ? item.back : item.front
+}
+
+/**
+ * Side of a study item shown as the answer
+ * @param {Object} item - Study item
+ * @returns {string}
+ */
+export function getAnswer(item) {
+    return item.direction === DIRECTIONS.REVERSE ? item.front : item.back
+}
+
+/**
+ * Answer a typed answer is compared with. Cards imported from a
+ * {{type:Field}} template keep that field's text in `typeAnswer`, which
+ * is what's asked for on the front; otherwise it's the whole answer side.
+ * @param {Object} item - Study item
+ * @returns {string}
+ */
+export function getExpectedAnswer(item) {
+    return item.direction !== DIRECTIONS.REVERSE && typeof item.typeAnswer === 'string'
+        ? item.typeAnswer
+        : getAnswer(item)
+}
@@ -0,0 +1,82 @@
+// Suspended, buried and flagged cards, like Anki's card queues and flags
+
+// Anki's flag colors, numbered 1-7
+export const FLAGS = [
+    { value: 1, name: 'Red', className: 'bg-red-500' },
+    { value: 2, name: 'Orange', className: 'bg-orange-400' },
+    { value: 3, name: 'Green', className: 'bg-green-500' },
+    { value: 4, name: 'Blue', className: 'bg-blue-500' },
+    { value: 5, name: 'Pink', className: 'bg-pink-400' },
+    { value: 6, name: 'Turquoise', className: 'bg-teal-400' },
+    { value: 7, name: 'Purple', className: 'bg-purple-500' }
+]
+
+/**
+ * Finds the flag a card carries
+ * @param {Object} card - Card with an optional flag number
+ * @returns {Object|null} Entry of FLAGS, or null when unflagged
+ */
+export function getCardFlag(card) {
+    return FLAGS.find(flag => flag.value === card.flag) || null
+}
+
+/**
+ * Checks whether a card is buried at a given time
+ * @param {Object} card - Card with an optional buriedUntil date
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isCardBuried(card, now = new Date()) {
+    return !!card.buriedUntil && new Date(card.buriedUntil) > now
+}
+
+/**
+ * Checks whether a card may be shown in a study session
+ * @param {Object} card - Card to check
+ * @param {Date} now - Current time
+ * @returns {boolean} False for suspended and buried cards
+ */
+export function isCardStudyable(card, now = new Date()) {
+    return !card.suspended && !isCardBuried(card, now)
+}
+
+/**
+ * Suspends or unsuspends a card
+ * @param {Object} card - Card to change
+ * @param {boolean} suspended - New suspended state
+ * @returns {Object} Updated card
+ */
+export function setCardSuspended(card, suspended) {
+    return { ...card, suspended }
+}
+
+/**
+ * Hides a card until the start of the next day
+ * @param {Object} card - Card to bury
+ * @param {Date} now - Current time
+ * @returns {Object} Updated card
+ */
+export function buryCard(card, now = new Date()) {
+    const tomorrow = new Date(now)
+    tomorrow.setHours(24, 0, 0, 0)
+    return { ...card, buriedUntil: tomorrow.toISOString() }
+}
+
+/**
+ * Returns a buried card to the study queue
+ * @param {Object} card - Card to unbury
+ * @returns {Object} Updated card
+ */
+export function unburyCard(card) {
+    return { ...card, buriedUntil: null }
+}
+
+/**
+ * Sets a card's flag; setting the flag it already has removes it
+ * @param {Object} card - Card to change
+ * @param {number} flag - Flag number 1-7, or 0 to remove the flag
+ * @returns {Object} Updated card
+ */
+export function toggleCardFlag(card, flag) {
+    return { ...card, flag: card.flag === flag ? 0 : flag }
+}
@@ -0,0 +1,84 @@
+// Custom study: temporary sessions built from filtered cards of several decks
+import { getCardState, endOfDay, GRADES } from './scheduler'
+import { getCardKey, shuffle } from './practiceSession'
+import { isCardStudyable } from './cardStatus'
+import { loadDeck } from './deckLibrary'
+import { getReviewHistory } from './reviewLog'
+import { toStudyItems } from './cardDirections'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const DEFAULT_CUSTOM_STUDY_FILTERS = {
+    failedToday: false,
+    search: '',
+    flag: 0,
+    tag: '',
+    dueWithinDays: null,
+    randomCount: null
+}
+
+/**
+ * Picks the cards matching every active filter. Suspended and buried
+ * cards are never included.
+ * @param {Array} cards - Cards of the selected decks
+ * @param {Object} filters - Filters as in DEFAULT_CUSTOM_STUDY_FILTERS
+ * @param {Object} context - { failedTodayKeys: Set of card keys, now }
+ * @returns {Array} Matching cards
+ */
+export function filterCustomStudyCards(cards, filters, { failedTodayKeys = new Set(), now = new Date() } = {}) {
+    const search = filters.search.trim().toLowerCase()
+    const tag = filters.tag.trim().toLowerCase()
+    const dueLimit = filters.dueWithinDays !== null
+        ? endOfDay(new Date(now.getTime() + filters.dueWithinDays * DAY_MS))
+        : null
+
+    const matching = cards.filter(card => {
+        if (!isCardStudyable(card, now)) return false
+        if (filters.failedToday && !failedTodayKeys.has(getCardKey(card))) return false
+        if (search && !`${card.front}\n${card.back}`.toLowerCase().includes(search)) return false
+        if (filters.flag && card.flag !== filters.flag) return false
+        if (tag && !(card.tags || []).some(cardTag => cardTag.toLowerCase() === tag)) return false
+        if (dueLimit) {
+            const state = getCardState(card)
+            if (state.state === 'new' || new Date(state.due) > dueLimit) return false
+        }
+        return true
+    })
+
+    return filters.randomCount === null
+        ? matching
+        : shuffle(matching).slice(0, filters.randomCount)
+}
+
+/**
+ * Loads the selected decks and the cards matching the filters
+ * @param {Array<string>} deckIds - Decks to study from
+ * @param {Object} filters - Filters as in DEFAULT_CUSTOM_STUDY_FILTERS
+ * @param {Date} now - Current time
+ * @returns {Promise<{decks: Array, cards: Array}>} The loaded decks and
+ *   the study items of the matching cards
+ */
+export async function loadCustomStudy(deckIds, filters, now = new Date()) {
+    const loadedDecks = (await Promise.all(deckIds.map(loadDeck))).filter(Boolean)
+
+    const failedTodayKeys = new Set()
+    if (filters.failedToday) {
+        const startOfDay = new Date(now)
+        startOfDay.setHours(0, 0, 0, 0)
+        const todaysReviews = await getReviewHistory({ from: startOfDay, to: now })
+        todaysReviews
+            .filter(entry => entry.grade === GRADES.AGAIN)
+            .forEach(entry => failedTodayKeys.add(getCardKey({
+                deckId: entry.deckId,
+                id: entry.cardId,
+                direction: entry.direction
+            })))
+    }
+
+    // Each deck is studied in its own practice direction
+    const allItems = loadedDecks.flatMap(deck => toStudyItems(deck.cards, deck.direction))
+    return {
+        decks: loadedDecks,
+        cards: filterCustomStudyCards(allItems, filters, { failedTodayKeys, now })
+    }
+}
@@ -0,0 +1,149 @@
+import {
+    getAllDecks,
+    getDeck,
+    getCards,
+    putDeckWithCards,
+    updateDeck,
+    removeDeck
+} from './storage'
+import { countAnswerToday } from './practiceSession'
+import { clearSessionProgress } from './sessionProgress'
+import { copyDeckMedia } from './media'
+import { clearMatchLeaderboard } from './matchGame'
+
+/**
+ * Generates a unique deck ID
+ * @returns {string} New deck ID
+ */
+export function generateDeckId() {
+    return `deck_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+}
+
+/**
+ * Reads the saved deck summaries, most recently used first
+ * @returns {Promise<Array>} Deck records without their cards
+ */
+export async function getDeckLibrary() {
+    try {
+        const decks = await getAllDecks()
+        const lastUsed = deck => new Date(deck.lastStudiedAt || deck.createdAt || 0).getTime()
+        return decks.sort((a, b) => lastUsed(b) - lastUsed(a))
+    } catch (error) {
+        console.error('Error reading deck library:', error)
+        return []
+    }
+}
+
+/**
+ * Loads a full deck with its cards
+ * @param {string} deckId - The deck ID
+ * @returns {Promise<Object|null>} The stored deck, or null if it doesn't exist
+ */
+export async function loadDeck(deckId) {
+    const [deck, cards] = await Promise.all([getDeck(deckId), getCards(deckId)])
+    return deck ? { ...deck, cards } : null
+}
+
+/**
+ * Stores a deck, creating or replacing its record and cards
+ * @param {Object} deck - Deck data including its ID and cards
+ */
+export async function saveDeck(deck) {
+    const { cards, ...deckRecord } = deck
+    const existingDeck = await getDeck(deck.id)
+
+    await putDeckWithCards({
+        ...existingDeck,
+        ...deckRecord,
+        cardCount: cards.length
+    }, cards)
+}
+
+/**
+ * Records that a card of a deck has just been answered, updating the
+ * last studied time and today's new/review counters
+ * @param {string} deckId - The deck ID
+ * @param {Object} previousState - Scheduling state of the card before the answer
+ */
+export async function markDeckStudied(deckId, previousState) {
+    const now = new Date()
+    await updateDeck(deckId, deck => ({
+        lastStudiedAt: now.toISOString(),
+        studyDay: countAnswerToday(deck, previousState, now)
+    }))
+}
+
+/**
+ * Puts back a deck's daily counters as they were before an undone answer
+ * @param {string} deckId - The deck ID
+ * @param {Object} studyDay - The earlier studyDay counter
+ */
+export async function restoreDeckStudyDay(deckId, studyDay) {
+    await updateDeck(deckId, { studyDay })
+}
+
+/**
+ * Removes a deck, its cards, its review history, any unfinished session
+ * and its match leaderboard
+ * @param {string} deckId - The deck ID
+ */
+export async function deleteDeck(deckId) {
+    await Promise.all([removeDeck(deckId), clearSessionProgress(deckId), clearMatchLeaderboard(deckId)])
+}
+
+/**
+ * Copies a deck and its media under a new ID
+ * @param {string} deckId - The deck to copy
+ * @returns {Promise<Object|null>} The new deck, or null if the source doesn't exist
+ */
+export async function duplicateDeck(deckId) {
+    const deck = await loadDeck(deckId)
+    if (!deck) return null
+
+    const now = new Date().toISOString()
+    const copy = {
+        ...deck,
+        id: generateDeckId(),
+        name: `${deck.name} (copy)`,
+        createdAt: now,
+        updatedAt: now,
+        lastStudiedAt: null
+    }
+    await saveDeck(copy)
+    await copyDeckMedia(deckId, copy.id)
+    return copy
+}
+
+/**
+ * Downloads a deck as a JSON file in the import format
+ * @param {Object} deck - Deck with name, description and cards
+ */
+export function downloadDeckAsJson(deck) {
+    const exportData = {
+        name: deck.name,
+        description: deck.description,
+        cards: deck.cards.map(card => ({
+            front: card.front,
+            back: card.back
+        }))
+    }
+
+    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' })
+    downloadFile(blob, `${deck.name.toLowerCase().replace(/\s+/g, '-')}-deck.json`)
+}
+
+/**
+ * Saves a file through the browser's download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = fileName
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+}
@@ -0,0 +1,110 @@
+// Deck options presets, shared between decks like Anki's deck conf
+import { getAllPresets, putPreset, deletePreset } from './storage'
+import { DEFAULT_LEARNING_STEPS, DEFAULT_RELEARNING_STEPS } from './scheduler'
+
+export const DEFAULT_PRESET_ID = 'default'
+
+export const NEW_CARD_ORDERS = {
+    SEQUENTIAL: 'sequential',
+    RANDOM: 'random'
+}
+
+export const REVIEW_ORDERS = {
+    DUE: 'due',
+    RANDOM: 'random',
+    INTERVAL: 'interval'
+}
+
+export const LEECH_ACTIONS = {
+    TAG: 'tag',
+    SUSPEND: 'suspend'
+}
+
+export const DEFAULT_PRESET = {
+    id: DEFAULT_PRESET_ID,
+    name: 'Default',
+    newCardsPerDay: 20,
+    maxReviewsPerDay: 200,
+    learningSteps: DEFAULT_LEARNING_STEPS,
+    relearningSteps: DEFAULT_RELEARNING_STEPS,
+    newCardOrder: NEW_CARD_ORDERS.SEQUENTIAL,
+    reviewOrder: REVIEW_ORDERS.DUE,
+    leechThreshold: 8,
+    leechAction: LEECH_ACTIONS.TAG
+}
+
+/**
+ * Generates a unique preset ID
+ * @returns {string} New preset ID
+ */
+export function generatePresetId() {
+    return `preset_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+}
+
+/**
+ * Lists all presets, the default preset first
+ * @returns {Promise<Array>} Presets with every option filled in
+ */
+export async function listPresets() {
+    const storedPresets = await getAllPresets()
+    const storedDefault = storedPresets.find(preset => preset.id === DEFAULT_PRESET_ID)
+    const others = storedPresets
+        .filter(preset => preset.id !== DEFAULT_PRESET_ID)
+        .sort((a, b) => a.name.localeCompare(b.name))
+
+    return [storedDefault, ...others].map(preset => ({ ...DEFAULT_PRESET, ...preset }))
+}
+
+/**
+ * Finds the preset a deck uses, falling back to the default preset when
+ * the deck has none or its preset was deleted
+ * @param {Object} deck - Deck record with an optional presetId
+ * @returns {Promise<Object>} The preset
+ */
+export async function getPresetForDeck(deck) {
+    const presets = await listPresets()
+    return presets.find(preset => preset.id === deck?.presetId) || presets[0]
+}
+
+/**
+ * Checks a preset's options
+ * @param {Object} preset - Preset to validate
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePreset(preset) {
+    if (!preset.name || !preset.name.trim()) {
+        return 'Preset must have a name'
+    }
+    if (!Number.isInteger(preset.newCardsPerDay) || preset.newCardsPerDay < 0) {
+        return 'New cards per day must be a whole number of 0 or more'
+    }
+    if (!Number.isInteger(preset.maxReviewsPerDay) || preset.maxReviewsPerDay < 0) {
+        return 'Maximum reviews per day must be a whole number of 0 or more'
+    }
+    if (!Array.isArray(preset.learningSteps) || !Array.isArray(preset.relearningSteps)) {
+        return 'Steps must be durations like "1m 10m 1h 1d"'
+    }
+    if (!Number.isInteger(preset.leechThreshold) || preset.leechThreshold < 1) {
+        return 'Leech threshold must be a whole number greater than 0'
+    }
+    return null
+}
+
+/**
+ * Stores a preset
+ * @param {Object} preset - Preset including its ID
+ */
+export async function savePreset(preset) {
+    await putPreset({ ...preset, name: preset.name.trim() })
+}
+
+/**
+ * Deletes a preset. Decks that used it fall back to the default preset.
+ * @param {string} presetId - The preset ID
+ */
+export async function removePreset(presetId) {
+    if (presetId === DEFAULT_PRESET_ID) {
+        throw new Error('The default preset cannot be deleted')
+    }
+    await deletePreset(presetId)
+}
@@ -0,0 +1,133 @@
+// Timed exams: a subset of a deck answered without feedback, scored at the end
+import { shuffle } from './practiceSession'
+import { isAnswerCorrect, DEFAULT_TYPE_ANSWER_OPTIONS } from './answerDiff'
+import { addExamResult, getExamResults } from './storage'
+
+export const EXAM_MODES = {
+    TYPED: 'typed',
+    SELF_GRADED: 'selfGraded'
+}
+
+export const EXAM_ORDERS = {
+    RANDOM: 'random',
+    DECK: 'deck'
+}
+
+export const DEFAULT_EXAM_OPTIONS = {
+    questionCount: 20,
+    order: EXAM_ORDERS.RANDOM,
+    timeLimitMinutes: 10,
+    mode: EXAM_MODES.TYPED
+}
+
+/**
+ * Validates exam options
+ * @param {Object} options - Options to check
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateExamOptions(options) {
+    if (!Number.isInteger(options.questionCount) || options.questionCount < 1) {
+        return 'Number of questions must be a whole number greater than 0'
+    }
+    if (!Number.isInteger(options.timeLimitMinutes) || options.timeLimitMinutes < 1) {
+        return 'Time limit must be a whole number of minutes greater than 0'
+    }
+    return null
+}
+
+/**
+ * Cards an exam can ask: both sides have text
+ * @param {Array} cards - Cards with front and back
+ * @returns {Array} The usable cards, in deck order
+ */
+export function getExamCards(cards) {
+    return cards.filter(card => card.front.trim() && card.back.trim())
+}
+
+/**
+ * Picks the questions of an exam
+ * @param {Array} cards - Cards with front and back
+ * @param {Object} options - { questionCount, order }; DECK takes the
+ *   first cards of the deck, RANDOM a random sample
+ * @returns {Array<{cardId: string, question: string, expected: string}>}
+ */
+export function createExamQuestions(cards, { questionCount, order } = DEFAULT_EXAM_OPTIONS) {
+    const usableCards = getExamCards(cards)
+    const orderedCards = order === EXAM_ORDERS.DECK ? usableCards : shuffle(usableCards)
+
+    return orderedCards.slice(0, questionCount).map(card => ({
+        cardId: card.id,
+        question: card.front.trim(),
+        expected: card.back.trim()
+    }))
+}
+
+/**
+ * Scores the answers of a finished exam
+ * @param {Array} questions - Questions from createExamQuestions
+ * @param {Array} answers - One answer per question: the typed text in
+ *   TYPED mode, true or false in SELF_GRADED mode; undefined when skipped
+ * @param {string} mode - One of EXAM_MODES
+ * @returns {Array<{cardId: string, question: string, expected: string, given: string|boolean|null, correct: boolean}>}
+ */
+export function scoreExam(questions, answers, mode) {
+    return questions.map((question, index) => {
+        const given = answers[index] ?? null
+        const correct = mode === EXAM_MODES.TYPED
+            ? typeof given === 'string' && given.trim() !== '' && isAnswerCorrect(given, question.expected, DEFAULT_TYPE_ANSWER_OPTIONS)
+            : given === true
+        return { ...question, given, correct }
+    })
+}
+
+/**
+ * Builds the stored record of a finished exam
+ * @param {string} deckId - The deck ID
+ * @param {Array} items - Scored questions from scoreExam
+ * @param {Object} options - Exam options the exam was taken with
+ * @param {Date} startedAt - When the exam started
+ * @param {Date} finishedAt - When it was handed in or ran out of time
+ * @returns {Object} Exam result
+ */
+export function createExamResult(deckId, items, options, startedAt, finishedAt) {
+    return {
+        deckId,
+        takenAt: finishedAt.getTime(),
+        durationMs: finishedAt - startedAt,
+        timeLimitMs: options.timeLimitMinutes * 60 * 1000,
+        mode: options.mode,
+        order: options.order,
+        score: items.filter(item => item.correct).length,
+        total: items.length,
+        items
+    }
+}
+
+/**
+ * Stores a finished exam
+ * @param {Object} result - Result from createExamResult
+ * @returns {Promise<number>} The ID of the stored result
+ */
+export async function saveExamResult(result) {
+    return addExamResult(result)
+}
+
+/**
+ * Reads the past exams of a deck, newest first
+ * @param {string} deckId - The deck ID
+ * @returns {Promise<Array>} Exam results
+ */
+export async function getExamHistory(deckId) {
+    const results = await getExamResults(deckId)
+    return results.sort((a, b) => b.takenAt - a.takenAt)
+}
+
+/**
+ * Formats a duration like 4:07
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+export function formatExamTime(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000))
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`
+}
@@ -0,0 +1,133 @@
+// FSRS (Free Spaced Repetition Scheduler) memory model, v4.5 formulas
+const DAY_MS = 24 * 60 * 60 * 1000
+const DECAY = -0.5
+const FACTOR = 19 / 81 // Makes retrievability 90% when elapsed days equal stability
+
+export const DEFAULT_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+    0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+]
+export const DEFAULT_DESIRED_RETENTION = 0.9
+export const DEFAULT_MAXIMUM_INTERVAL = 36500
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+/**
+ * Fills in missing FSRS parameters with defaults
+ * @param {Object} params - { desiredRetention, weights, maximumInterval }
+ * @returns {Object} Complete parameters
+ */
+export function normalizeFsrsParams(params = {}) {
+    return {
+        desiredRetention: params.desiredRetention || DEFAULT_DESIRED_RETENTION,
+        weights: params.weights?.length === DEFAULT_WEIGHTS.length ? params.weights : DEFAULT_WEIGHTS,
+        maximumInterval: params.maximumInterval || DEFAULT_MAXIMUM_INTERVAL
+    }
+}
+
+/**
+ * Probability of recalling a card after a number of days
+ * @param {number} elapsedDays - Days since the last review
+ * @param {number} stability - Days until recall probability drops to 90%
+ * @returns {number} Retrievability between 0 and 1
+ */
+export function forgettingCurve(elapsedDays, stability) {
+    return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY)
+}
+
+/**
+ * Current retrievability of a card's memory
+ * @param {Object} state - Scheduling state with stability and lastReviewedAt
+ * @param {Date} now - Current time
+ * @returns {number|null} Retrievability, or null without a memory state
+ */
+export function getRetrievability(state, now = new Date()) {
+    if (!state.stability || !state.lastReviewedAt) return null
+    const elapsedDays = Math.max(0, (now - new Date(state.lastReviewedAt)) / DAY_MS)
+    return forgettingCurve(elapsedDays, state.stability)
+}
+
+/**
+ * Difficulty after the first answer
+ */
+function initialDifficulty(w, grade) {
+    return clamp(w[4] - (grade - 3) * w[5], 1, 10)
+}
+
+/**
+ * Difficulty after a later answer
+ */
+function nextDifficulty(w, difficulty, grade) {
+    const updated = difficulty - w[6] * (grade - 3)
+    // Mean reversion towards the difficulty of a "Good" first answer
+    return clamp(w[7] * initialDifficulty(w, 3) + (1 - w[7]) * updated, 1, 10)
+}
+
+/**
+ * Stability after a successful recall
+ */
+function recallStability(w, difficulty, stability, retrievability, grade) {
+    const hardPenalty = grade === 2 ? w[15] : 1
+    const easyBonus = grade === 4 ? w[16] : 1
+    return stability * (
+        1 +
+        Math.exp(w[8]) *
+        (11 - difficulty) *
+        Math.pow(stability, -w[9]) *
+        (Math.exp(w[10] * (1 - retrievability)) - 1) *
+        hardPenalty *
+        easyBonus
+    )
+}
+
+/**
+ * Stability after a lapse
+ */
+function forgetStability(w, difficulty, stability, retrievability) {
+    return w[11] *
+        Math.pow(difficulty, -w[12]) *
+        (Math.pow(stability + 1, w[13]) - 1) *
+        Math.exp(w[14] * (1 - retrievability))
+}
+
+/**
+ * Interval in days that keeps recall at the desired retention
+ * @param {number} stability - Memory stability in days
+ * @param {Object} params - Normalized FSRS parameters
+ * @returns {number} Whole days, at least 1
+ */
+export function intervalForStability(stability, params) {
+    const interval = stability / FACTOR * (Math.pow(params.desiredRetention, 1 / DECAY) - 1)
+    return clamp(Math.round(interval), 1, params.maximumInterval)
+}
+
+/**
+ * Updates stability and difficulty for an answer
+ * @param {Object} state - Current scheduling state
+ * @param {number} grade - 1 (Again) to 4 (Easy)
+ * @param {Date} now - Time of the answer
+ * @param {Object} params - FSRS parameters
+ * @returns {{stability: number, difficulty: number}} New memory state
+ */
+export function nextMemoryState(state, grade, now, params) {
+    const { weights: w } = normalizeFsrsParams(params)
+
+    if (state.state === 'new') {
+        return {
+            stability: w[grade - 1],
+            difficulty: initialDifficulty(w, grade)
+        }
+    }
+
+    // Cards reviewed before FSRS was enabled start from their current interval
+    const stability = state.stability || Math.max(state.interval, 0.1)
+    const difficulty = state.difficulty || initialDifficulty(w, 3)
+    const retrievability = getRetrievability({ ...state, stability }, now) ?? 1
+
+    return {
+        stability: grade === 1
+            ? Math.min(forgetStability(w, difficulty, stability, retrievability), stability)
+            : recallStability(w, difficulty, stability, retrievability, grade),
+        difficulty: nextDifficulty(w, difficulty, grade)
+    }
+}
@@ -0,0 +1,70 @@
+// Leeches: cards that keep being forgotten, detected by their lapse count like in Anki
+import { LEECH_ACTIONS } from './deckPresets'
+
+export const LEECH_TAG = 'leech'
+
+/**
+ * Checks whether a card carries the leech tag
+ * @param {Object} card - Card with optional tags
+ * @returns {boolean}
+ */
+export function isLeech(card) {
+    return (card.tags || []).some(tag => tag.toLowerCase() === LEECH_TAG)
+}
+
+/**
+ * Checks whether an answer turned a card into a leech. As in Anki, a card
+ * becomes a leech when its lapses reach the threshold and is flagged again
+ * every half threshold after that.
+ * @param {Object} previousState - Scheduling state before the answer
+ * @param {Object} newState - Scheduling state after the answer
+ * @param {Object} preset - Options preset with leechThreshold
+ * @returns {boolean}
+ */
+export function isLeechAnswer(previousState, newState, preset) {
+    const threshold = preset.leechThreshold
+    if (!threshold || newState.lapses <= previousState.lapses || newState.lapses < threshold) {
+        return false
+    }
+    return (newState.lapses - threshold) % Math.max(1, Math.ceil(threshold / 2)) === 0
+}
+
+/**
+ * Tags a card as a leech and suspends it when the preset says so
+ * @param {Object} card - Stored card
+ * @param {string} action - One of LEECH_ACTIONS
+ * @returns {Object} Updated card
+ */
+export function markLeech(card, action) {
+    return {
+        ...card,
+        tags: isLeech(card) ? card.tags : [...(card.tags || []), LEECH_TAG],
+        suspended: action === LEECH_ACTIONS.SUSPEND ? true : card.suspended
+    }
+}
+
+/**
+ * Most lapses of a card in either practice direction
+ * @param {Object} card - Stored card
+ * @returns {number}
+ */
+export function getCardLapses(card) {
+    return Math.max(card.srs?.lapses || 0, card.reverseSrs?.lapses || 0)
+}
+
+/**
+ * Gives a leech a fresh start: it becomes a new card in both directions,
+ * loses the leech tag and is unsuspended
+ * @param {Object} card - Stored card
+ * @returns {Object} Updated card
+ */
+export function resetLeech(card) {
+    return {
+        ...card,
+        srs: null,
+        reverseSrs: null,
+        tags: (card.tags || []).filter(tag => tag.toLowerCase() !== LEECH_TAG),
+        suspended: false,
+        buriedUntil: null
+    }
+}
@@ -0,0 +1,113 @@
+// Timed matching game: pair each front with its back on a shuffled grid
+import { shuffle } from './practiceSession'
+import { getSetting, setSetting, deleteSetting } from './storage'
+
+export const DEFAULT_PAIR_COUNT = 6
+export const MIN_PAIR_COUNT = 2
+export const MAX_PAIR_COUNT = 10
+export const LEADERBOARD_SIZE = 10
+
+// Leaderboards are kept with the other settings in IndexedDB, which replaced
+// localStorage as the app's only storage when decks moved there
+const LEADERBOARD_SETTING_PREFIX = 'matchLeaderboard_'
+
+/**
+ * Picks the cards that can be used in a game. Cards whose front or back
+ * repeats another card's are left out so every tile has exactly one partner.
+ * @param {Array} cards - Cards with front and back
+ * @returns {Array} Usable cards
+ */
+export function getMatchableCards(cards) {
+    const fronts = new Set()
+    const backs = new Set()
+    return cards.filter(card => {
+        const front = card.front.trim()
+        const back = card.back.trim()
+        if (!front || !back || fronts.has(front) || backs.has(back)) return false
+        fronts.add(front)
+        backs.add(back)
+        return true
+    })
+}
+
+/**
+ * Deals a new game from random cards of a deck
+ * @param {Array} cards - Cards with front and back
+ * @param {number} pairCount - Number of front/back pairs on the grid
+ * @returns {Array<{id: string, cardId: string, side: string, text: string}>}
+ *   Shuffled tiles, two per card
+ */
+export function createMatchTiles(cards, pairCount = DEFAULT_PAIR_COUNT) {
+    const chosenCards = shuffle(getMatchableCards(cards)).slice(0, pairCount)
+    return shuffle(chosenCards.flatMap(card => [
+        { id: `${card.id}/front`, cardId: card.id, side: 'front', text: card.front.trim() },
+        { id: `${card.id}/back`, cardId: card.id, side: 'back', text: card.back.trim() }
+    ]))
+}
+
+/**
+ * Checks whether two tiles are the front and back of the same card
+ * @param {Object} first - Tile
+ * @param {Object} second - Tile
+ * @returns {boolean}
+ */
+export function isMatchingPair(first, second) {
+    return first.cardId === second.cardId && first.side !== second.side
+}
+
+/**
+ * Formats a game time like 1:05.3
+ * @param {number} ms - Elapsed milliseconds
+ * @returns {string}
+ */
+export function formatMatchTime(ms) {
+    const tenths = Math.floor(ms / 100)
+    const minutes = Math.floor(tenths / 600)
+    const seconds = Math.floor(tenths / 10) % 60
+    return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths % 10}`
+}
+
+/**
+ * Reads a deck's best games for one grid size, fastest first
+ * @param {string} deckId - The deck ID
+ * @param {number} pairCount - Grid size; times are only compared between
+ *   games with the same number of pairs
+ * @returns {Promise<Array<{timeMs: number, mistakes: number, pairCount: number, playedAt: string}>>}
+ */
+export async function getMatchLeaderboard(deckId, pairCount) {
+    const entries = await getSetting(LEADERBOARD_SETTING_PREFIX + deckId, [])
+    return entries.filter(entry => entry.pairCount === pairCount)
+}
+
+/**
+ * Adds a finished game to the deck's leaderboard, keeping the
+ * LEADERBOARD_SIZE best games per grid size
+ * @param {string} deckId - The deck ID
+ * @param {Object} result - { timeMs, mistakes, pairCount }
+ * @param {Date} now - When the game finished
+ * @returns {Promise<{leaderboard: Array, rank: number|null}>} The updated
+ *   leaderboard for the game's grid size and the game's place on it
+ *   (1-based), or null when it didn't make the cut
+ */
+export async function recordMatchResult(deckId, { timeMs, mistakes, pairCount }, now = new Date()) {
+    const key = LEADERBOARD_SETTING_PREFIX + deckId
+    const entries = await getSetting(key, [])
+    const entry = { timeMs, mistakes, pairCount, playedAt: now.toISOString() }
+
+    const leaderboard = [...entries.filter(other => other.pairCount === pairCount), entry]
+        .sort((a, b) => a.timeMs - b.timeMs || a.mistakes - b.mistakes)
+        .slice(0, LEADERBOARD_SIZE)
+
+    await setSetting(key, [...entries.filter(other => other.pairCount !== pairCount), ...leaderboard])
+
+    const index = leaderboard.indexOf(entry)
+    return { leaderboard, rank: index === -1 ? null : index + 1 }
+}
+
+/**
+ * Forgets a deck's leaderboard, when the deck is deleted
+ * @param {string} deckId - The deck ID
+ */
+export async function clearMatchLeaderboard(deckId) {
+    await deleteSetting(LEADERBOARD_SETTING_PREFIX + deckId)
+}
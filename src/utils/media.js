@@ -0,0 +1,121 @@
+// Images and sounds on cards, stored per deck and referenced from card text
+// the way Anki fields do: <img src="name"> and [sound:name]
+import { putMediaFiles, getMediaFiles } from './storage'
+
+const MEDIA_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    bmp: 'image/bmp',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    oga: 'audio/ogg',
+    wav: 'audio/wav',
+    m4a: 'audio/mp4',
+    aac: 'audio/aac',
+    flac: 'audio/flac',
+    opus: 'audio/opus',
+    webm: 'audio/webm'
+}
+
+// Matches [sound:name] and <img ... src="name" ...>
+const MEDIA_REFERENCE_PATTERN = /\[sound:([^\]]+)\]|<img\b[^>]*?\bsrc=(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>/gi
+
+/**
+ * Guesses a media file's MIME type from its extension
+ * @param {string} name - File name
+ * @returns {string} MIME type, empty when unknown
+ */
+export function getMediaType(name) {
+    const extension = name.split('.').pop().toLowerCase()
+    return MEDIA_TYPES[extension] || ''
+}
+
+/**
+ * Writes the reference to an image as it appears in card text
+ * @param {string} name - File name
+ * @returns {string}
+ */
+export function formatImageReference(name) {
+    return `<img src="${name}">`
+}
+
+/**
+ * Splits card text into text, image and sound segments
+ * @param {string} text - Card side
+ * @returns {Array<{type: string, text?: string, name?: string}>} Segments
+ *   of type 'text', 'image' or 'sound'
+ */
+export function parseCardContent(text) {
+    const segments = []
+    let lastIndex = 0
+
+    for (const match of (text || '').matchAll(MEDIA_REFERENCE_PATTERN)) {
+        if (match.index > lastIndex) {
+            segments.push({ type: 'text', text: text.slice(lastIndex, match.index) })
+        }
+        segments.push(match[1] !== undefined
+            ? { type: 'sound', name: match[1].trim() }
+            : { type: 'image', name: match[2] ?? match[3] ?? match[4] })
+        lastIndex = match.index + match[0].length
+    }
+
+    if (lastIndex < (text || '').length) {
+        segments.push({ type: 'text', text: text.slice(lastIndex) })
+    }
+    return segments
+}
+
+/**
+ * Lists the media files a card side refers to
+ * @param {string} text - Card side
+ * @returns {Array<string>} File names
+ */
+export function getMediaReferences(text) {
+    return parseCardContent(text)
+        .filter(segment => segment.type !== 'text')
+        .map(segment => segment.name)
+}
+
+/**
+ * Stores media files for a deck, replacing files with the same name
+ * @param {string} deckId - The deck ID
+ * @param {Array<{name: string, blob: Blob}>} files - Files to store
+ */
+export async function saveDeckMedia(deckId, files) {
+    await putMediaFiles(files.map(({ name, blob }) => ({ deckId, name, blob })))
+}
+
+/**
+ * Copies every media file of a deck to another deck
+ * @param {string} fromDeckId - Deck the files belong to
+ * @param {string} toDeckId - Deck receiving the copies
+ */
+export async function copyDeckMedia(fromDeckId, toDeckId) {
+    const files = await getMediaFiles(fromDeckId)
+    if (files.length > 0) {
+        await saveDeckMedia(toDeckId, files)
+    }
+}
+
+/**
+ * Creates object URLs for a deck's media files. Pass the result to
+ * revokeMediaUrls once the files are no longer shown.
+ * @param {string} deckId - The deck ID
+ * @returns {Promise<Object>} Object URLs by file name
+ */
+export async function loadMediaUrls(deckId) {
+    const files = await getMediaFiles(deckId)
+    return Object.fromEntries(files.map(file => [file.name, URL.createObjectURL(file.blob)]))
+}
+
+/**
+ * Releases object URLs created by loadMediaUrls
+ * @param {Object} urls - Object URLs by file name
+ */
+export function revokeMediaUrls(urls) {
+    Object.values(urls).forEach(url => URL.revokeObjectURL(url))
+}
@@ -0,0 +1,36 @@
+// The file and deck being imported, kept in memory while the deck editor
+// reviews them. History state is size-limited, so only the import's ID goes
+// through the router.
+
+let nextImportId = 1
+const pendingImports = new Map()
+
+/**
+ * Keeps an import until the deck editor saves it. Only the latest import
+ * is kept; starting another one drops the previous.
+ * @param {Object} data - { file, deckData, deckInfo }
+ * @returns {string} Import ID to pass to the deck editor
+ */
+export function addPendingImport(data) {
+    const importId = String(nextImportId++)
+    pendingImports.clear()
+    pendingImports.set(importId, data)
+    return importId
+}
+
+/**
+ * Reads a pending import. Imports don't survive a page reload.
+ * @param {string} importId - ID from addPendingImport
+ * @returns {Object|null} The import's data, or null when it is gone
+ */
+export function getPendingImport(importId) {
+    return pendingImports.get(importId) || null
+}
+
+/**
+ * Drops a pending import once it is saved
+ * @param {string} importId - ID from addPendingImport
+ */
+export function removePendingImport(importId) {
+    pendingImports.delete(importId)
+}
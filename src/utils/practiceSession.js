@@ -0,0 +1,325 @@
+import { GRADES, getCardState, isLearningState, isCardDue, toDayKey, endOfDay } from './scheduler'
+import { DEFAULT_PRESET, NEW_CARD_ORDERS, REVIEW_ORDERS } from './deckPresets'
+import { isCardStudyable } from './cardStatus'
+import { DIRECTIONS, getStudyItem, toStudyItems } from './cardDirections'
+
+const CRAM_AGAIN_DELAY_MS = 60 * 1000
+
+/**
+ * Identifies a card within a session. Reverse study items get their own
+ * key so both directions of a card can be in the same session.
+ * @param {Object} card - Card or study item with deckId and id
+ * @returns {string} Session key
+ */
+export function getCardKey(card) {
+    const key = `${card.deckId}/${card.id}`
+    return card.direction === DIRECTIONS.REVERSE ? `${key}/${DIRECTIONS.REVERSE}` : key
+}
+
+/**
+ * Finds the study item a session key refers to
+ * @param {Array} cards - Stored cards
+ * @param {string} key - Session key from getCardKey
+ * @returns {Object|null} Study item in the key's direction
+ */
+export function findStudyItem(cards, key) {
+    const reverseSuffix = `/${DIRECTIONS.REVERSE}`
+    const isReverse = key.endsWith(reverseSuffix)
+    const cardKey = isReverse ? key.slice(0, -reverseSuffix.length) : key
+    const card = cards.find(c => getCardKey(c) === cardKey)
+    if (!card) return null
+    return getStudyItem(card, isReverse ? DIRECTIONS.REVERSE : DIRECTIONS.FORWARD)
+}
+
+/**
+ * Reads how many new cards and reviews a deck has had today
+ * @param {Object} deck - Deck record with an optional studyDay counter
+ * @param {Date} now - Current time
+ * @returns {{newCount: number, reviewCount: number}}
+ */
+export function getStudiedToday(deck, now = new Date()) {
+    const studyDay = deck?.studyDay
+    if (!studyDay || studyDay.date !== toDayKey(now)) {
+        return { newCount: 0, reviewCount: 0 }
+    }
+    return { newCount: studyDay.newCount, reviewCount: studyDay.reviewCount }
+}
+
+/**
+ * Adds an answer to a deck's daily counter
+ * @param {Object} deck - Deck record
+ * @param {Object} previousState - Scheduling state of the card before the answer
+ * @param {Date} now - Time of the answer
+ * @returns {Object} New studyDay counter
+ */
+export function countAnswerToday(deck, previousState, now = new Date()) {
+    const today = getStudiedToday(deck, now)
+    return {
+        date: toDayKey(now),
+        newCount: today.newCount + (previousState.state === 'new' ? 1 : 0),
+        reviewCount: today.reviewCount + (previousState.state === 'review' ? 1 : 0)
+    }
+}
+
+/**
+ * Returns a shuffled copy of an array
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+export function shuffle(items) {
+    const result = [...items]
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1))
+        const swapped = result[i]
+        result[i] = result[j]
+        result[j] = swapped
+    }
+    return result
+}
+
+/**
+ * Builds the list of cards to study with a deck's options preset: cards in
+ * their learning steps, then due reviews and new cards up to what is left
+ * of today's limits. Suspended and buried cards are left out.
+ * @param {Array} allCards - All cards of the deck
+ * @param {Object} options - { preset, studiedToday, now }
+ * @returns {Array} Cards to study
+ */
+export function buildStudyQueue(allCards, { preset = DEFAULT_PRESET, studiedToday = {}, now = new Date() } = {}) {
+    const cards = allCards.filter(card => isCardStudyable(card, now))
+    const dueTime = card => new Date(getCardState(card).due).getTime()
+    const dueCards = cards.filter(card => isCardDue(getCardState(card), now))
+
+    const learningCards = dueCards
+        .filter(card => isLearningState(getCardState(card)))
+        .sort((a, b) => dueTime(a) - dueTime(b))
+
+    let reviewCards = dueCards.filter(card => getCardState(card).state === 'review')
+    if (preset.reviewOrder === REVIEW_ORDERS.RANDOM) {
+        reviewCards = shuffle(reviewCards)
+    } else if (preset.reviewOrder === REVIEW_ORDERS.INTERVAL) {
+        reviewCards.sort((a, b) => getCardState(a).interval - getCardState(b).interval)
+    } else {
+        reviewCards.sort((a, b) => dueTime(a) - dueTime(b))
+    }
+
+    let newCards = cards.filter(card => getCardState(card).state === 'new')
+    if (preset.newCardOrder === NEW_CARD_ORDERS.RANDOM) {
+        newCards = shuffle(newCards)
+    }
+
+    const reviewLimit = Math.max(0, preset.maxReviewsPerDay - (studiedToday.reviewCount || 0))
+    const newLimit = Math.max(0, preset.newCardsPerDay - (studiedToday.newCount || 0))
+
+    return [
+        ...learningCards,
+        ...reviewCards.slice(0, reviewLimit),
+        ...newCards.slice(0, newLimit)
+    ]
+}
+
+/**
+ * Builds the study queue of a deck in its practice direction
+ * @param {Object} deck - Deck record with its direction and daily counters
+ * @param {Array} cards - Stored cards of the deck
+ * @param {Object} options - { preset, now }
+ * @returns {Array} Study items to study
+ */
+export function buildDeckStudyQueue(deck, cards, { preset = DEFAULT_PRESET, now = new Date() } = {}) {
+    const queue = buildStudyQueue(toStudyItems(cards, deck.direction), {
+        preset,
+        studiedToday: getStudiedToday(deck, now),
+        now
+    })
+    // Mixed decks interleave both directions at random
+    return deck.direction === DIRECTIONS.MIXED ? shuffle(queue) : queue
+}
+
+/**
+ * Picks the card to show next: a learning card that is due, otherwise the
+ * next card of the main queue, otherwise the learning card due soonest so
+ * the session continues until every card due today has been answered.
+ * Learning cards on a step that ends after today are left for another day.
+ * @param {Object} session - Session without a current card
+ * @param {Date} now - Current time
+ * @returns {Object} Session with `current` set (null when finished)
+ */
+function advanceSession(session, now) {
+    const [firstLearning, ...otherLearning] = session.learning
+
+    if (firstLearning && new Date(firstLearning.due) <= now) {
+        return { ...session, current: firstLearning.key, learning: otherLearning }
+    }
+    if (session.queue.length > 0) {
+        const [next, ...rest] = session.queue
+        return { ...session, current: next, queue: rest }
+    }
+    if (firstLearning && new Date(firstLearning.due) <= endOfDay(now)) {
+        return { ...session, current: firstLearning.key, learning: otherLearning }
+    }
+    return { ...session, current: null, learning: [] }
+}
+
+/**
+ * Inserts a card into the learning list, keeping it sorted by due time
+ * @param {Array} learning - Learning entries { key, due }
+ * @param {Object} entry - Entry to insert
+ * @returns {Array} New learning list
+ */
+function insertLearning(learning, entry) {
+    const index = learning.findIndex(item => new Date(item.due) > new Date(entry.due))
+    return index === -1
+        ? [...learning, entry]
+        : [...learning.slice(0, index), entry, ...learning.slice(index)]
+}
+
+/**
+ * Creates a practice session from the cards selected for study
+ * @param {Array} cards - Cards in study order
+ * @param {Date} now - Current time
+ * @returns {Object} Session state
+ */
+export function createSession(cards, now = new Date()) {
+    let session = { queue: [], learning: [], current: null, answered: 0 }
+
+    cards.forEach(card => {
+        const state = getCardState(card)
+        if (isLearningState(state)) {
+            session.learning = insertLearning(session.learning, { key: getCardKey(card), due: state.due })
+        } else {
+            session.queue.push(getCardKey(card))
+        }
+    })
+
+    return advanceSession(session, now)
+}
+
+/**
+ * Records the answer to the current card and moves on. Cards still in
+ * their learning or relearning steps are queued again for later.
+ * @param {Object} session - Current session
+ * @param {Object} updatedCard - The answered card with its new scheduling state
+ * @param {Date} now - Time of the answer
+ * @returns {Object} Next session state
+ */
+export function answerCurrentCard(session, updatedCard, now = new Date()) {
+    const state = getCardState(updatedCard)
+    const learning = isLearningState(state)
+        ? insertLearning(session.learning, { key: session.current, due: state.due })
+        : session.learning
+
+    return advanceSession({
+        ...session,
+        learning,
+        current: null,
+        answered: session.answered + 1
+    }, now)
+}
+
+/**
+ * Records an answer in cram mode, where the card's schedule is left
+ * alone: a failed card comes back after a minute, others are done.
+ * @param {Object} session - Current session
+ * @param {number} grade - One of GRADES
+ * @param {Date} now - Time of the answer
+ * @returns {Object} Next session state
+ */
+export function answerCurrentCramCard(session, grade, now = new Date()) {
+    const learning = grade === GRADES.AGAIN
+        ? insertLearning(session.learning, {
+            key: session.current,
+            due: new Date(now.getTime() + CRAM_AGAIN_DELAY_MS).toISOString()
+        })
+        : session.learning
+
+    return advanceSession({
+        ...session,
+        learning,
+        current: null,
+        answered: session.answered + 1
+    }, now)
+}
+
+/**
+ * Drops the current card from the session without answering it, for
+ * cards that were suspended or buried during study
+ * @param {Object} session - Current session
+ * @param {Date} now - Current time
+ * @returns {Object} Next session state
+ */
+export function skipCurrentCard(session, now = new Date()) {
+    return advanceSession({ ...session, current: null }, now)
+}
+
+/**
+ * Prepares a saved session for resuming: cards that were deleted,
+ * suspended or buried since it was saved are dropped from it
+ * @param {Object} session - Saved session state
+ * @param {Array} cards - The deck's stored cards
+ * @param {Date} now - Current time
+ * @returns {Object} Session state (`current` is null when nothing is left)
+ */
+export function restoreSession(session, cards, now = new Date()) {
+    const isStudyable = key => {
+        const item = findStudyItem(cards, key)
+        return !!item && isCardStudyable(item, now)
+    }
+    const restored = {
+        ...session,
+        queue: session.queue.filter(isStudyable),
+        learning: session.learning.filter(entry => isStudyable(entry.key))
+    }
+    return session.current && isStudyable(session.current)
+        ? restored
+        : advanceSession({ ...restored, current: null }, now)
+}
+
+/**
+ * Counts answered and outstanding cards, including re-queued ones
+ * @param {Object} session - Session state
+ * @returns {{answered: number, remaining: number, total: number}}
+ */
+export function getSessionProgress(session) {
+    const remaining = session.queue.length + session.learning.length + (session.current ? 1 : 0)
+    return {
+        answered: session.answered,
+        remaining,
+        total: session.answered + remaining
+    }
+}
+
+/**
+ * Counts a session's answers per grade
+ * @param {Array<{grade: number}>} answers - Answers given in the session
+ * @returns {Object} Number of answers keyed by grade
+ */
+export function countGrades(answers) {
+    const counts = Object.fromEntries(Object.values(GRADES).map(grade => [grade, 0]))
+    answers.forEach(answer => counts[answer.grade]++)
+    return counts
+}
+
+/**
+ * Sums up a finished session for its summary screen
+ * @param {Array<{key: string, grade: number}>} answers - Every answer
+ *   given in the session, in order
+ * @param {number} startedAt - When the session started, in milliseconds
+ * @param {number} finishedAt - When the last card was answered
+ * @returns {{answered: number, gradeCounts: Object, accuracy: number, timeSpentMs: number, averageTimeMs: number, studiedKeys: Array<string>, missedKeys: Array<string>}}
+ *   missedKeys lists each card answered Again at least once
+ */
+export function summarizeSession(answers, startedAt, finishedAt) {
+    const gradeCounts = countGrades(answers)
+    const answered = answers.length
+    const timeSpentMs = Math.max(0, finishedAt - startedAt)
+
+    return {
+        answered,
+        gradeCounts,
+        accuracy: answered > 0 ? Math.round(((answered - gradeCounts[GRADES.AGAIN]) / answered) * 100) : 0,
+        timeSpentMs,
+        averageTimeMs: answered > 0 ? timeSpentMs / answered : 0,
+        studiedKeys: [...new Set(answers.map(answer => answer.key))],
+        missedKeys: [...new Set(answers.filter(answer => answer.grade === GRADES.AGAIN).map(answer => answer.key))]
+    }
+}
@@ -0,0 +1,80 @@
+// Multiple-choice questions generated from a deck's fronts and backs
+import { shuffle } from './practiceSession'
+
+export const DEFAULT_OPTION_COUNT = 4
+export const MIN_OPTION_COUNT = 2
+export const MAX_OPTION_COUNT = 6
+
+/**
+ * Classifies an answer so distractors can be picked from the same kind
+ * @param {string} text - Answer text
+ * @returns {string} 'number', 'word' or 'phrase'
+ */
+function answerType(text) {
+    if (/^[\d\s.,:%°+-]+$/.test(text)) return 'number'
+    return /\s/.test(text) ? 'phrase' : 'word'
+}
+
+/**
+ * Scores how plausible a distractor looks next to the correct answer:
+ * same kind of answer first, then similar length
+ * @param {string} candidate - Possible distractor
+ * @param {string} correct - Correct answer
+ * @returns {number} Higher is more similar
+ */
+function similarity(candidate, correct) {
+    const typeScore = answerType(candidate) === answerType(correct) ? 1 : 0
+    const lengthScore = Math.min(candidate.length, correct.length) / Math.max(candidate.length, correct.length, 1)
+    return typeScore + lengthScore
+}
+
+/**
+ * Picks distractors for a question from the other answers of the deck,
+ * choosing at random among the most similar ones so repeated quizzes vary
+ * @param {string} correct - Correct answer
+ * @param {Array<string>} answers - Distinct answers of the deck
+ * @param {number} count - Number of distractors wanted
+ * @returns {Array<string>} Distractors
+ */
+function pickDistractors(correct, answers, count) {
+    const candidates = answers
+        .filter(answer => answer !== correct)
+        .map(answer => ({ answer, score: similarity(answer, correct) + Math.random() * 0.25 }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count * 2)
+        .map(candidate => candidate.answer)
+
+    return shuffle(candidates).slice(0, count)
+}
+
+/**
+ * Counts the distinct answers of a deck, which limits how many options
+ * each question can have
+ * @param {Array} cards - Cards with front and back
+ * @returns {number}
+ */
+export function countDistinctAnswers(cards) {
+    return new Set(cards.map(card => card.back.trim()).filter(Boolean)).size
+}
+
+/**
+ * Builds a multiple-choice quiz from a deck, one question per card in
+ * random order
+ * @param {Array} cards - Cards with front and back
+ * @param {number} optionCount - Options per question, including the correct one
+ * @returns {Array<{cardId: string, question: string, answer: string, options: Array<string>}>}
+ */
+export function buildQuizQuestions(cards, optionCount = DEFAULT_OPTION_COUNT) {
+    const usableCards = cards.filter(card => card.front.trim() && card.back.trim())
+    const answers = [...new Set(usableCards.map(card => card.back.trim()))]
+
+    return shuffle(usableCards).map(card => {
+        const answer = card.back.trim()
+        return {
+            cardId: card.id,
+            question: card.front.trim(),
+            answer,
+            options: shuffle([answer, ...pickDistractors(answer, answers, optionCount - 1)])
+        }
+    })
+}
@@ -0,0 +1,85 @@
+// Review history, one entry per answer like Anki's revlog table
+import { addReviewLog, addReviewLogs, getReviewLogs, deleteReviewLog } from './storage'
+import { DIRECTIONS } from './cardDirections'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Answers that took longer than this count as this long, as in Anki
+export const MAX_ANSWER_TIME_MS = 60 * 1000
+
+/**
+ * Days from an answer until the card is due again, fractional for
+ * intraday learning steps
+ * @param {Object} state - Scheduling state after the answer
+ * @param {Date} now - Time of the answer
+ * @returns {number} Interval in days
+ */
+function intervalFromDue(state, now) {
+    return state.due ? (new Date(state.due) - now) / DAY_MS : 0
+}
+
+/**
+ * Builds the review log entry for an answer
+ * @param {Object} card - The answered card or study item with deckId and id
+ * @param {Object} previousState - Scheduling state before the answer
+ * @param {Object} newState - Scheduling state after the answer
+ * @param {number} grade - One of GRADES
+ * @param {Date} now - Time of the answer
+ * @param {number} timeTaken - Milliseconds spent on the card
+ * @returns {Object} Review log entry
+ */
+export function createReviewLogEntry(card, previousState, newState, grade, now, timeTaken) {
+    return {
+        deckId: card.deckId,
+        cardId: card.id,
+        direction: card.direction || DIRECTIONS.FORWARD,
+        reviewedAt: now.getTime(),
+        grade,
+        timeTaken: Math.min(Math.max(0, Math.round(timeTaken)), MAX_ANSWER_TIME_MS),
+        previousState: previousState.state,
+        previousInterval: previousState.interval,
+        interval: intervalFromDue(newState, now),
+        ease: newState.ease
+    }
+}
+
+/**
+ * Stores a review log entry
+ * @param {Object} entry - Entry from createReviewLogEntry
+ * @returns {Promise<number>} The ID of the stored entry
+ */
+export async function logReview(entry) {
+    return addReviewLog(entry)
+}
+
+/**
+ * Stores review history brought over from another app, e.g. an Anki import
+ * @param {string} deckId - Deck the reviewed cards now belong to
+ * @param {Array} entries - Review log entries without a deckId
+ */
+export async function importReviewHistory(deckId, entries) {
+    if (entries.length === 0) return
+    await addReviewLogs(entries.map(entry => ({ ...entry, deckId })))
+}
+
+/**
+ * Removes a logged answer, used when the answer is undone
+ * @param {number} id - ID returned by logReview
+ */
+export async function removeReview(id) {
+    await deleteReviewLog(id)
+}
+
+/**
+ * Reads the review history, oldest answer first
+ * @param {Object} filters - { deckId, from, to } where deckId may be omitted
+ *   for every deck and from/to are Dates (inclusive)
+ * @returns {Promise<Array>} Review log entries
+ */
+export async function getReviewHistory({ deckId, from, to } = {}) {
+    return getReviewLogs({
+        deckId,
+        from: from ? from.getTime() : undefined,
+        to: to ? to.getTime() : undefined
+    })
+}
@@ -0,0 +1,294 @@
+// Spaced repetition scheduler (SM-2, or FSRS when enabled for a deck)
+import { normalizeFsrsParams, nextMemoryState, intervalForStability } from './fsrs'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MINUTE_MS = 60 * 1000
+
+export const GRADES = {
+    AGAIN: 1,
+    HARD: 2,
+    GOOD: 3,
+    EASY: 4
+}
+
+export const DEFAULT_EASE = 2.5
+const MINIMUM_EASE = 1.3
+const EASY_BONUS = 1.3
+const HARD_MULTIPLIER = 1.2
+
+export const ALGORITHMS = {
+    SM2: 'sm2',
+    FSRS: 'fsrs'
+}
+
+// Delays in minutes between answers before a card graduates
+export const DEFAULT_LEARNING_STEPS = [1, 10]
+export const DEFAULT_RELEARNING_STEPS = [10]
+const GRADUATING_INTERVAL = 1
+const EASY_INTERVAL = 4
+
+/**
+ * Combines the scheduling options of a deck and its options preset
+ * @param {Object} deck - Deck record (algorithm and FSRS parameters)
+ * @param {Object} preset - Options preset (learning and relearning steps)
+ * @returns {Object} { algorithm, fsrsParams, learningSteps, relearningSteps }
+ */
+export function getSchedulerOptions(deck, preset) {
+    return {
+        algorithm: deck?.algorithm === ALGORITHMS.FSRS ? ALGORITHMS.FSRS : ALGORITHMS.SM2,
+        fsrsParams: normalizeFsrsParams(deck?.fsrsParams),
+        learningSteps: preset?.learningSteps || DEFAULT_LEARNING_STEPS,
+        relearningSteps: preset?.relearningSteps || DEFAULT_RELEARNING_STEPS
+    }
+}
+
+/**
+ * Parses steps written like "1m 10m 1h 1d" into minutes
+ * @param {string} text - Space or comma separated steps
+ * @returns {Array<number>|null} Steps in minutes, or null if any step is invalid
+ */
+export function parseSteps(text) {
+    const units = { m: 1, h: 60, d: 24 * 60 }
+    const steps = text.split(/[\s,]+/).filter(Boolean).map(step => {
+        const match = step.match(/^(\d+(?:\.\d+)?)([mhd]?)$/i)
+        return match ? Number(match[1]) * units[(match[2] || 'm').toLowerCase()] : NaN
+    })
+    return steps.every(step => step > 0) ? steps : null
+}
+
+/**
+ * Formats minutes as steps text, the inverse of parseSteps
+ * @param {Array<number>} steps - Steps in minutes
+ * @returns {string} e.g. "1m 10m"
+ */
+export function formatSteps(steps) {
+    return steps.map(step => {
+        if (step % (24 * 60) === 0) return `${step / (24 * 60)}d`
+        if (step % 60 === 0) return `${step / 60}h`
+        return `${step}m`
+    }).join(' ')
+}
+
+/**
+ * Gets the scheduling state of a card, or a fresh state for unseen cards
+ * @param {Object} card - Card that may carry an `srs` object
+ * @returns {Object} Scheduling state
+ */
+export function getCardState(card) {
+    return card.srs || {
+        state: 'new',
+        ease: DEFAULT_EASE,
+        interval: 0,
+        step: 0,
+        due: null,
+        reps: 0,
+        lapses: 0,
+        lastReviewedAt: null
+    }
+}
+
+/**
+ * Returns the end of the local day containing a date
+ * @param {Date} date - Reference date
+ * @returns {Date} 23:59:59.999 on the same day
+ */
+export function endOfDay(date) {
+    const end = new Date(date)
+    end.setHours(23, 59, 59, 999)
+    return end
+}
+
+/**
+ * Computes the SM-2 interval in days a review answer would produce
+ * @param {Object} state - Current scheduling state of a review card
+ * @param {number} grade - HARD, GOOD or EASY
+ * @returns {number} Interval in days
+ */
+function nextSm2Interval(state, grade) {
+    // Classic SM-2 sequence: the second successful review waits 6 days
+    const goodInterval = state.interval < 6
+        ? 6
+        : Math.round(state.interval * state.ease)
+
+    if (grade === GRADES.HARD) {
+        return Math.max(Math.round(state.interval * HARD_MULTIPLIER), state.interval + 1)
+    }
+    if (grade === GRADES.EASY) {
+        return Math.round(goodInterval * EASY_BONUS)
+    }
+    return goodInterval
+}
+
+/**
+ * Puts a card on a learning or relearning step
+ * @returns {Object} New scheduling state due after the step delay
+ */
+function toStep(state, learningState, step, delayMinutes, now) {
+    return {
+        ...state,
+        state: learningState,
+        step,
+        due: new Date(now.getTime() + delayMinutes * MINUTE_MS).toISOString()
+    }
+}
+
+/**
+ * Moves a card into (or keeps it in) the review state
+ * @returns {Object} New scheduling state due after the interval
+ */
+function toReview(state, interval, now) {
+    return {
+        ...state,
+        state: 'review',
+        step: 0,
+        interval,
+        due: new Date(now.getTime() + interval * DAY_MS).toISOString()
+    }
+}
+
+/**
+ * Applies an answer to a card's scheduling state. New and failed cards
+ * go through the learning (or relearning) steps before they graduate
+ * to day-based review intervals.
+ * @param {Object} state - Current scheduling state
+ * @param {number} grade - One of GRADES
+ * @param {Date} now - Time of the answer
+ * @param {Object} options - Deck options from getSchedulerOptions
+ * @returns {Object} New scheduling state
+ */
+export function scheduleCard(state, grade, now = new Date(), options = getSchedulerOptions()) {
+    const useFsrs = options.algorithm === ALGORITHMS.FSRS
+
+    // The FSRS memory state is tracked under both algorithms, so predicted
+    // recall is always available and switching a deck to FSRS keeps history.
+    // Answers on intraday steps don't change it.
+    const isStepAnswer = state.state === 'learning' || state.state === 'relearning'
+    const memoryState = isStepAnswer ? {} : nextMemoryState(state, grade, now, options.fsrsParams)
+    const next = {
+        ...state,
+        ...memoryState,
+        reps: state.reps + 1,
+        lastReviewedAt: now.toISOString()
+    }
+    const fsrsInterval = () => intervalForStability(next.stability, options.fsrsParams)
+
+    if (state.state === 'review') {
+        if (grade === GRADES.AGAIN) {
+            next.lapses = state.lapses + 1
+            next.ease = Math.max(MINIMUM_EASE, Number((state.ease - 0.2).toFixed(2)))
+            next.interval = 1
+            return options.relearningSteps.length > 0
+                ? toStep(next, 'relearning', 0, options.relearningSteps[0], now)
+                : toReview(next, useFsrs ? fsrsInterval() : 1, now)
+        }
+
+        if (useFsrs) return toReview(next, fsrsInterval(), now)
+
+        let ease = state.ease
+        if (grade === GRADES.HARD) ease -= 0.15
+        if (grade === GRADES.EASY) ease += 0.15
+        next.ease = Math.max(MINIMUM_EASE, Number(ease.toFixed(2)))
+        return toReview(next, nextSm2Interval(state, grade), now)
+    }
+
+    // New, learning and relearning cards
+    const learningState = state.state === 'relearning' ? 'relearning' : 'learning'
+    const steps = learningState === 'relearning' ? options.relearningSteps : options.learningSteps
+    const step = state.state === 'new' ? 0 : (state.step || 0)
+    const graduatingInterval = learningState === 'relearning' ? Math.max(1, state.interval) : GRADUATING_INTERVAL
+    const graduate = () => toReview(next, useFsrs ? fsrsInterval() : graduatingInterval, now)
+
+    if (grade === GRADES.EASY) {
+        if (useFsrs) {
+            // Step answers leave stability unchanged, so Easy adds a day over Good
+            return toReview(next, isStepAnswer ? fsrsInterval() + 1 : fsrsInterval(), now)
+        }
+        return toReview(next, learningState === 'relearning' ? graduatingInterval + 1 : EASY_INTERVAL, now)
+    }
+    if (steps.length === 0) return graduate()
+
+    if (grade === GRADES.AGAIN) {
+        return toStep(next, learningState, 0, steps[0], now)
+    }
+    if (grade === GRADES.HARD) {
+        // Hard repeats the current step; on the first step it waits halfway to the second
+        const delay = step === 0 && steps.length > 1 ? (steps[0] + steps[1]) / 2 : steps[step]
+        return toStep(next, learningState, step, delay, now)
+    }
+    return step + 1 < steps.length
+        ? toStep(next, learningState, step + 1, steps[step + 1], now)
+        : graduate()
+}
+
+/**
+ * Computes the delay each grade would give, for showing on the buttons
+ * @param {Object} state - Current scheduling state
+ * @param {Date} now - Current time
+ * @param {Object} options - Deck options from getSchedulerOptions
+ * @returns {Object} Delay until the card is due again in days, keyed by grade
+ */
+export function previewIntervals(state, now = new Date(), options = getSchedulerOptions()) {
+    return Object.fromEntries(
+        Object.values(GRADES).map(grade => {
+            const { due } = scheduleCard(state, grade, now, options)
+            return [grade, (new Date(due) - now) / DAY_MS]
+        })
+    )
+}
+
+/**
+ * Formats an interval for display, e.g. "10m", "3d", "1.5mo", "2.1y"
+ * @param {number} days - Interval in days
+ * @returns {string} Short interval text
+ */
+export function formatInterval(days) {
+    if (days < 1 / 24) return `${Math.max(1, Math.round(days * 24 * 60))}m`
+    if (days < 1) return `${Math.round(days * 24)}h`
+    if (days < 30) return `${Math.round(days)}d`
+    if (days < 365) return `${(days / 30).toFixed(1)}mo`
+    return `${(days / 365).toFixed(1)}y`
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD day key
+ * @param {Date} date - Reference date
+ * @returns {string} Day key
+ */
+export function toDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0')
+    const day = String(date.getDate()).padStart(2, '0')
+    return `${date.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * Checks whether a card is in the intraday learning or relearning steps
+ * @param {Object} state - Scheduling state
+ * @returns {boolean}
+ */
+export function isLearningState(state) {
+    return state.state === 'learning' || state.state === 'relearning'
+}
+
+/**
+ * Checks whether a studied card is due by the end of today
+ * @param {Object} state - Scheduling state
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isCardDue(state, now = new Date()) {
+    return state.state !== 'new' && new Date(state.due) <= endOfDay(now)
+}
+
+/**
+ * Finds when the next card of a deck becomes due
+ * @param {Array} cards - All cards of the deck
+ * @returns {Date|null} Earliest due date, or null if nothing is scheduled
+ */
+export function getNextDueDate(cards) {
+    const dueDates = cards
+        .map(getCardState)
+        .filter(state => state.state !== 'new' && state.due)
+        .map(state => new Date(state.due).getTime())
+
+    return dueDates.length > 0 ? new Date(Math.min(...dueDates)) : null
+}
@@ -0,0 +1,48 @@
+// Saves an unfinished practice session so it can be resumed after a reload
+import { getSetting, setSetting, deleteSetting } from './storage'
+import { toDayKey } from './scheduler'
+import { restoreSession } from './practiceSession'
+
+const PROGRESS_SETTING_PREFIX = 'session_'
+
+/**
+ * Stores the state of a deck's session in progress
+ * @param {string} deckId - The deck ID
+ * @param {Object} progress - { session, answers, startedAt, restudy }
+ * @param {Date} now - Current time
+ */
+export async function saveSessionProgress(deckId, progress, now = new Date()) {
+    await setSetting(PROGRESS_SETTING_PREFIX + deckId, { ...progress, savedAt: now.toISOString() })
+}
+
+/**
+ * Forgets a deck's saved session, once it is finished or abandoned
+ * @param {string} deckId - The deck ID
+ */
+export async function clearSessionProgress(deckId) {
+    await deleteSetting(PROGRESS_SETTING_PREFIX + deckId)
+}
+
+/**
+ * Reads a deck's saved session if it can still be resumed. Sessions from
+ * an earlier day are stale, since the cards due have changed; they are
+ * removed, as are sessions with no cards left to study.
+ * @param {string} deckId - The deck ID
+ * @param {Array} cards - The deck's stored cards
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} { session, answers, startedAt, restudy, savedAt }
+ *   with the session ready to continue, or null
+ */
+export async function loadSessionProgress(deckId, cards, now = new Date()) {
+    const progress = await getSetting(PROGRESS_SETTING_PREFIX + deckId)
+    if (!progress) return null
+
+    const session = toDayKey(new Date(progress.savedAt)) === toDayKey(now)
+        ? restoreSession(progress.session, cards, now)
+        : null
+    if (!session?.current) {
+        await clearSessionProgress(deckId)
+        return null
+    }
+    return { ...progress, session }
+}
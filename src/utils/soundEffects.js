@@ -8,11 +8,44 @@ Object.values(sounds).forEach(sound => {
     sound.load()
 })
 
+// Short tones for answer feedback, played with the Web Audio API
+const tones = {
+    correct: [{ frequency: 660, duration: 0.08 }, { frequency: 880, duration: 0.14 }],
+    incorrect: [{ frequency: 220, duration: 0.12 }, { frequency: 165, duration: 0.2 }]
+}
+
 let isMuted = false
+let audioContext = null
+
+const playTones = (notes) => {
+    try {
+        audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)()
+        let startTime = audioContext.currentTime
+        notes.forEach(({ frequency, duration }) => {
+            const oscillator = audioContext.createOscillator()
+            const gain = audioContext.createGain()
+            oscillator.frequency.value = frequency
+            // Fade out so the tone doesn't end with a click
+            gain.gain.setValueAtTime(0.15, startTime)
+            gain.gain.exponentialRampToValueAtTime(0.001, startTime + duration)
+            oscillator.connect(gain).connect(audioContext.destination)
+            oscillator.start(startTime)
+            oscillator.stop(startTime + duration)
+            startTime += duration
+        })
+    } catch (error) {
+        console.warn('Error playing sound:', error)
+    }
+}
 
 export const playSound = (soundName) => {
     if (isMuted) return
 
+    if (tones[soundName]) {
+        playTones(tones[soundName])
+        return
+    }
+
     const sound = sounds[soundName]
     if (sound) {
         // Reset the sound to start
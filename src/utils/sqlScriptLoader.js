@@ -0,0 +1,52 @@
+// SQLite compiled to WebAssembly (sql.js), bundled with the app so Anki
+// collections can be read offline
+import initSqlJs from 'sql.js'
+import sqlWasmUrl from 'sql.js/dist/sql-wasm-browser.wasm?url'
+
+let sqlPromise = null
+
+/**
+ * Loads the SQLite engine once and reuses it
+ * @returns {Promise<Object>} The sql.js module
+ */
+export function loadSqlEngine() {
+    if (!sqlPromise) {
+        sqlPromise = initSqlJs({ locateFile: () => sqlWasmUrl }).catch(error => {
+            // Let a later call try again
+            sqlPromise = null
+            throw error
+        })
+    }
+    return sqlPromise
+}
+
+/**
+ * Opens an SQLite database file in memory
+ * @param {Uint8Array} [data] - Contents of the database file; leave out for an empty database
+ * @returns {Promise<Object>} The database; call close() when done
+ */
+export async function openDatabase(data) {
+    const SQL = await loadSqlEngine()
+    return new SQL.Database(data)
+}
+
+/**
+ * Runs a query and returns its rows as objects keyed by column name
+ * @param {Object} db - Database from openDatabase
+ * @param {string} sql - SQL statement
+ * @param {Array|Object} params - Values bound to the statement's placeholders
+ * @returns {Array<Object>} Result rows
+ */
+export function executeQuery(db, sql, params = []) {
+    const statement = db.prepare(sql)
+    try {
+        statement.bind(params)
+        const rows = []
+        while (statement.step()) {
+            rows.push(statement.getAsObject())
+        }
+        return rows
+    } finally {
+        statement.free()
+    }
+}
@@ -0,0 +1,399 @@
+// IndexedDB storage for decks, cards, review logs, exam results, media files, options presets and settings
+const DB_NAME = 'ankiweb'
+const DB_VERSION = 5
+
+const LEGACY_DECK_INDEX_KEY = 'ankiweb_decks'
+const LEGACY_DECK_PREFIX = 'ankiweb_deck_'
+const MIGRATION_SETTING = 'localStorageMigrated'
+
+let databasePromise = null
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request to wait for
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+/**
+ * Resolves once a transaction has committed
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve()
+        transaction.onerror = () => reject(transaction.error)
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'))
+    })
+}
+
+/**
+ * Creates the object stores for a fresh or outdated database
+ * @param {IDBDatabase} db - The database being upgraded
+ * @param {number} oldVersion - Version before the upgrade
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ */
+function upgradeDatabase(db, oldVersion, transaction) {
+    if (oldVersion < 1) {
+        db.createObjectStore('decks', { keyPath: 'id' })
+
+        // Card IDs are only unique within a deck
+        const cards = db.createObjectStore('cards', { keyPath: ['deckId', 'id'] })
+        cards.createIndex('deckId', 'deckId')
+
+        const revlog = db.createObjectStore('revlog', { keyPath: 'id', autoIncrement: true })
+        revlog.createIndex('deckId', 'deckId')
+        revlog.createIndex('cardId', ['deckId', 'cardId'])
+
+        db.createObjectStore('settings', { keyPath: 'key' })
+    }
+    if (oldVersion < 2) {
+        db.createObjectStore('presets', { keyPath: 'id' })
+    }
+    if (oldVersion < 3) {
+        // Lets the review log be queried by date range, optionally within a deck
+        const revlog = transaction.objectStore('revlog')
+        revlog.createIndex('reviewedAt', 'reviewedAt')
+        revlog.createIndex('deckReviewedAt', ['deckId', 'reviewedAt'])
+    }
+    if (oldVersion < 4) {
+        const exams = db.createObjectStore('exams', { keyPath: 'id', autoIncrement: true })
+        exams.createIndex('deckId', 'deckId')
+    }
+    if (oldVersion < 5) {
+        // Media file names are only unique within a deck, as in an Anki collection
+        const media = db.createObjectStore('media', { keyPath: ['deckId', 'name'] })
+        media.createIndex('deckId', 'deckId')
+    }
+}
+
+/**
+ * Opens the database, running the localStorage migration on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function getDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION)
+            request.onupgradeneeded = (event) => upgradeDatabase(request.result, event.oldVersion, request.transaction)
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+            .then(async db => {
+                await migrateFromLocalStorage(db)
+                return db
+            })
+            .catch(error => {
+                // Allow a later call to retry opening the database
+                databasePromise = null
+                throw error
+            })
+    }
+    return databasePromise
+}
+
+/**
+ * Moves decks saved by older versions from localStorage into IndexedDB.
+ * Runs once; the legacy keys are removed after a successful copy.
+ * @param {IDBDatabase} db - The open database
+ */
+async function migrateFromLocalStorage(db) {
+    const flagTransaction = db.transaction('settings', 'readonly')
+    const migrated = await promisifyRequest(flagTransaction.objectStore('settings').get(MIGRATION_SETTING))
+    if (migrated?.value) return
+
+    const legacyIndex = JSON.parse(localStorage.getItem(LEGACY_DECK_INDEX_KEY) || '[]')
+    const legacyKeys = []
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i)
+        if (key.startsWith(LEGACY_DECK_PREFIX)) {
+            legacyKeys.push(key)
+        }
+    }
+
+    const transaction = db.transaction(['decks', 'cards', 'settings'], 'readwrite')
+    const decksStore = transaction.objectStore('decks')
+    const cardsStore = transaction.objectStore('cards')
+
+    legacyKeys.forEach(key => {
+        try {
+            const { cards = [], ...deck } = JSON.parse(localStorage.getItem(key))
+            const deckId = deck.id || key.slice(LEGACY_DECK_PREFIX.length)
+            const summary = legacyIndex.find(entry => entry.id === deckId) || {}
+
+            decksStore.put({
+                ...deck,
+                id: deckId,
+                cardCount: cards.length,
+                createdAt: deck.createdAt || summary.createdAt,
+                lastStudiedAt: summary.lastStudiedAt
+            })
+            cards.forEach(card => cardsStore.put({ ...card, deckId }))
+        } catch (error) {
+            console.error('Skipping unreadable legacy deck:', key, error)
+        }
+    })
+    transaction.objectStore('settings').put({ key: MIGRATION_SETTING, value: true })
+
+    await transactionDone(transaction)
+
+    legacyKeys.forEach(key => localStorage.removeItem(key))
+    localStorage.removeItem(LEGACY_DECK_INDEX_KEY)
+}
+
+/**
+ * Gets every deck record (without cards)
+ * @returns {Promise<Array>} Deck records
+ */
+export async function getAllDecks() {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('decks').objectStore('decks').getAll())
+}
+
+/**
+ * Gets a single deck record (without cards)
+ * @param {string} deckId - The deck ID
+ * @returns {Promise<Object|undefined>} The deck record
+ */
+export async function getDeck(deckId) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('decks').objectStore('decks').get(deckId))
+}
+
+/**
+ * Stores a deck record together with its full card list. Cards that are
+ * no longer in the list are removed.
+ * @param {Object} deck - Deck record without cards
+ * @param {Array} cards - Cards belonging to the deck
+ */
+export async function putDeckWithCards(deck, cards) {
+    const db = await getDatabase()
+    const transaction = db.transaction(['decks', 'cards'], 'readwrite')
+    const cardsStore = transaction.objectStore('cards')
+    const keptIds = new Set(cards.map(card => card.id))
+
+    transaction.objectStore('decks').put(deck)
+    cardsStore.index('deckId').getAllKeys(deck.id).onsuccess = (event) => {
+        event.target.result
+            .filter(([, cardId]) => !keptIds.has(cardId))
+            .forEach(key => cardsStore.delete(key))
+    }
+    cards.forEach(card => cardsStore.put({ ...card, deckId: deck.id }))
+
+    await transactionDone(transaction)
+}
+
+/**
+ * Merges changes into a stored deck record
+ * @param {string} deckId - The deck ID
+ * @param {Object|Function} changes - Fields to update, or a function that
+ *   receives the current record and returns them
+ */
+export async function updateDeck(deckId, changes) {
+    const db = await getDatabase()
+    const transaction = db.transaction('decks', 'readwrite')
+    const store = transaction.objectStore('decks')
+
+    store.get(deckId).onsuccess = (event) => {
+        const deck = event.target.result
+        if (deck) {
+            store.put({ ...deck, ...(typeof changes === 'function' ? changes(deck) : changes) })
+        }
+    }
+
+    await transactionDone(transaction)
+}
+
+/**
+ * Removes a deck with its cards, review history, exam results and media
+ * @param {string} deckId - The deck ID
+ */
+export async function removeDeck(deckId) {
+    const db = await getDatabase()
+    const transaction = db.transaction(['decks', 'cards', 'revlog', 'exams', 'media'], 'readwrite')
+
+    transaction.objectStore('decks').delete(deckId)
+    for (const storeName of ['cards', 'revlog', 'exams', 'media']) {
+        const store = transaction.objectStore(storeName)
+        store.index('deckId').getAllKeys(deckId).onsuccess = (event) => {
+            event.target.result.forEach(key => store.delete(key))
+        }
+    }
+
+    await transactionDone(transaction)
+}
+
+/**
+ * Gets all cards of a deck
+ * @param {string} deckId - The deck ID
+ * @returns {Promise<Array>} Cards with their deckId
+ */
+export async function getCards(deckId) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('cards').objectStore('cards').index('deckId').getAll(deckId))
+}
+
+/**
+ * Stores one or more cards. Each card must carry its deckId.
+ * @param {Object|Array} cards - Card or cards to store
+ */
+export async function putCards(cards) {
+    const db = await getDatabase()
+    const transaction = db.transaction('cards', 'readwrite')
+    const store = transaction.objectStore('cards')
+    const cardList = Array.isArray(cards) ? cards : [cards]
+    cardList.forEach(card => store.put(card))
+    await transactionDone(transaction)
+}
+
+/**
+ * Appends an entry to the review log
+ * @param {Object} entry - Review details including deckId and cardId
+ * @returns {Promise<number>} The ID of the new entry
+ */
+export async function addReviewLog(entry) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('revlog', 'readwrite').objectStore('revlog').add(entry))
+}
+
+/**
+ * Appends several entries to the review log at once
+ * @param {Array} entries - Review details including deckId and cardId
+ */
+export async function addReviewLogs(entries) {
+    const db = await getDatabase()
+    const transaction = db.transaction('revlog', 'readwrite')
+    const store = transaction.objectStore('revlog')
+    entries.forEach(entry => store.add(entry))
+    await transactionDone(transaction)
+}
+
+/**
+ * Gets review log entries, oldest first
+ * @param {Object} filters - { deckId, from, to }; `from` and `to` are
+ *   inclusive timestamps in milliseconds and may be left out
+ * @returns {Promise<Array>} Review log entries
+ */
+export async function getReviewLogs({ deckId, from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+    const db = await getDatabase()
+    const store = db.transaction('revlog').objectStore('revlog')
+    const request = deckId === undefined
+        ? store.index('reviewedAt').getAll(IDBKeyRange.bound(from, to))
+        : store.index('deckReviewedAt').getAll(IDBKeyRange.bound([deckId, from], [deckId, to]))
+    return promisifyRequest(request)
+}
+
+/**
+ * Removes an entry from the review log
+ * @param {number} id - The entry ID
+ */
+export async function deleteReviewLog(id) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('revlog', 'readwrite').objectStore('revlog').delete(id))
+}
+
+/**
+ * Stores a finished exam
+ * @param {Object} result - Exam result including its deckId
+ * @returns {Promise<number>} The ID of the stored result
+ */
+export async function addExamResult(result) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('exams', 'readwrite').objectStore('exams').add(result))
+}
+
+/**
+ * Gets the stored exam results of a deck
+ * @param {string} deckId - The deck ID
+ * @returns {Promise<Array>} Exam results
+ */
+export async function getExamResults(deckId) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('exams').objectStore('exams').index('deckId').getAll(deckId))
+}
+
+/**
+ * Stores media files. Each file must carry its deckId and name.
+ * @param {Array} files - Media records with the file contents as a Blob
+ */
+export async function putMediaFiles(files) {
+    const db = await getDatabase()
+    const transaction = db.transaction('media', 'readwrite')
+    const store = transaction.objectStore('media')
+    files.forEach(file => store.put(file))
+    await transactionDone(transaction)
+}
+
+/**
+ * Gets the media files of a deck
+ * @param {string} deckId - The deck ID
+ * @returns {Promise<Array>} Media records
+ */
+export async function getMediaFiles(deckId) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('media').objectStore('media').index('deckId').getAll(deckId))
+}
+
+/**
+ * Gets every stored options preset
+ * @returns {Promise<Array>} Presets
+ */
+export async function getAllPresets() {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('presets').objectStore('presets').getAll())
+}
+
+/**
+ * Creates or replaces an options preset
+ * @param {Object} preset - Preset including its ID
+ */
+export async function putPreset(preset) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('presets', 'readwrite').objectStore('presets').put(preset))
+}
+
+/**
+ * Removes an options preset
+ * @param {string} presetId - The preset ID
+ */
+export async function deletePreset(presetId) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('presets', 'readwrite').objectStore('presets').delete(presetId))
+}
+
+/**
+ * Reads a setting
+ * @param {string} key - Setting name
+ * @param {*} defaultValue - Returned when the setting doesn't exist
+ * @returns {Promise<*>} The stored value
+ */
+export async function getSetting(key, defaultValue = null) {
+    const db = await getDatabase()
+    const record = await promisifyRequest(db.transaction('settings').objectStore('settings').get(key))
+    return record ? record.value : defaultValue
+}
+
+/**
+ * Writes a setting
+ * @param {string} key - Setting name
+ * @param {*} value - Any structured-cloneable value
+ */
+export async function setSetting(key, value) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('settings', 'readwrite').objectStore('settings').put({ key, value }))
+}
+
+/**
+ * Removes a setting
+ * @param {string} key - Setting name
+ */
+export async function deleteSetting(key) {
+    const db = await getDatabase()
+    return promisifyRequest(db.transaction('settings', 'readwrite').objectStore('settings').delete(key))
+}